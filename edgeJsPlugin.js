@@ -1,55 +1,104 @@
-import { Edge, Template } from "edge.js";
+import path from "node:path";
+import { Edge, EdgeError, Template, edgeGlobals } from "edge.js";
+
+import { awaitCallsInOutput, awaitCallsInTags } from "./lib/await.js";
+import { createCacheInvalidator, createComponentTagRefresher } from "./lib/cache.js";
+import { buildCatalog, CATALOG_TEMPLATES, normalizeCatalog } from "./lib/catalog.js";
+import { cacheRawTemplates, wrapCompiledTemplates } from "./lib/compile.js";
+import { normalizeSharedData, pickSharedData, shareDataWithTemplates, SHARED_DATA_KEY, SharedData } from "./lib/context.js";
+import { findTemplateDependencies } from "./lib/dependencies.js";
+import { addEmbedShortcodes, EMBED_SHORTCODES } from "./lib/embed.js";
+import { createSourceLocator, describeEdgeError, isPrematureUse, traceTemplates } from "./lib/errors.js";
+import { createCallLimiter, LOCATION_KEY, RenderLocation, trackLocations } from "./lib/limit.js";
+import { LAYOUT_SLOTS_KEY, LayoutSlots, useLayoutSlots } from "./lib/layouts.js";
+import { loadMarkdownLibrary, renderMarkdown } from "./lib/markdown.js";
+import { mountDirectories } from "./lib/mounts.js";
+import { ERROR_PAGE_MARKER, findErrorPage, renderErrorPage } from "./lib/overlay.js";
+import { precompileToDisk } from "./lib/precompile.js";
+import { checkComponentProps } from "./lib/props.js";
+import { bridgeRenderPluginTags, getRenderPluginFunctions, RENDER_PLUGIN_KEY } from "./lib/render.js";
+import { strictOutput } from "./lib/strict.js";
+import { compileTagBody, parseTagArguments } from "./lib/tags.js";
+import { registerTemplate, removeTemplatesExcept } from "./lib/templates.js";
+
+const DEFAULT_PRECOMPILE_DIRECTORY = ".cache/eleventy-plugin-edgejs";
 
 // Sentinel prefix for async placeholders (uses null byte to avoid collisions with real content)
 const ASYNC_PREFIX = "\0__EDGE_ASYNC_";
 const ASYNC_SUFFIX = "__\0";
 const ASYNC_PATTERN = /\0__EDGE_ASYNC_(\d+)__\0/g;
 
-// Patch Template.prototype.escape to:
-// 1. Render null/undefined as empty string (matches Nunjucks, Handlebars, Liquid, Mustache)
-// 2. Detect unresolved Promises and defer resolution via placeholders
-const _originalEscape = Template.prototype.escape;
-
-Template.prototype.escape = function ( input ) {
-	// Convert null/undefined to empty string instead of "null"/"undefined"
-	if ( input == null ) return "";
-
-	// Detect unresolved Promises from async filters/shortcodes
-	if ( typeof input === "object" && typeof input.then === "function" ) {
-		if ( !this.__pendingPromises ) {
-			this.__pendingPromises = [];
+// Raw output (`{{{ }}}`) never goes through escape(), so Promises returned by bridged functions
+// turn themselves into these placeholders when stringified, instead of "[object Promise]".
+// The Promise is looked up by id when the output is resolved, and inserted without escaping
+const RAW_PREFIX = "\0__EDGE_RAW_";
+const RAW_PATTERN = /\0__EDGE_RAW_(\d+)__\0/g;
+const rawPromises = new Map();
+let rawPromiseCounter = 0;
+
+// Edge doesn't export the class behind html.safe()
+const SafeValue = edgeGlobals.html.safe( "" ).constructor;
+
+function markRawOutput( promise ) {
+	let placeholder;
+	promise[Symbol.toPrimitive] = () => {
+		if ( !placeholder ) {
+			let id = ++rawPromiseCounter;
+			rawPromises.set( id, promise );
+			placeholder = `${ RAW_PREFIX }${ id }${ ASYNC_SUFFIX }`;
 		}
-		const idx = this.__pendingPromises.length;
-		this.__pendingPromises.push( input );
-		return `${ ASYNC_PREFIX }${ idx }${ ASYNC_SUFFIX }`;
-	}
-
-	return _originalEscape.call( this, input );
-};
-
-// Patch Template.prototype.renderRaw to resolve async placeholders after rendering
-const _originalRenderRaw = Template.prototype.renderRaw;
+		return placeholder;
+	};
+	return promise;
+}
 
-Template.prototype.renderRaw = function ( contents, state, templatePath ) {
-	this.__pendingPromises = [];
+function addPendingPromise( template, promise ) {
+	if ( !template.__pendingPromises ) {
+		template.__pendingPromises = [];
+	}
+	const idx = template.__pendingPromises.length;
+	template.__pendingPromises.push( promise );
+	return `${ ASYNC_PREFIX }${ idx }${ ASYNC_SUFFIX }`;
+}
 
-	const result = _originalRenderRaw.call( this, contents, state, templatePath );
+// Edge's own Template methods. The behaviors below are set on each Template rendered by the
+// plugin's Edge instance, so other Edge users in the same process are not affected
+const _originalEscape = Template.prototype.escape;
+const _originalReThrow = Template.prototype.reThrow;
 
-	// Async mode returns a Promise
-	if ( result && typeof result.then === "function" ) {
-		return result.then( output => resolveAsyncPlaceholders( this, output ) );
-	}
+// Escape that optionally:
+// 1. Renders null/undefined as empty string (matches Nunjucks, Handlebars, Liquid, Mustache)
+// 2. Detects unresolved Promises and defers resolution via placeholders
+function escapeWith( behaviors ) {
+	return function escape( input ) {
+		// Convert null/undefined to empty string instead of "null"/"undefined"
+		if ( behaviors.nullAsEmpty && input == null ) return "";
+
+		if ( behaviors.autoAwait ) {
+			// Detect unresolved Promises from async filters/shortcodes
+			if ( input && typeof input === "object" && typeof input.then === "function" ) {
+				return addPendingPromise( this, input );
+			}
 
-	return result;
-};
+			// A Promise stringified into a larger value (`{{ 'Hi ' + asyncFn() }}`) still needs escaping
+			if ( typeof input === "string" && input.includes( RAW_PREFIX ) ) {
+				input = input.replace( RAW_PATTERN, ( placeholder, id ) => {
+					const promise = rawPromises.get( parseInt( id ) );
+					if ( !promise ) return placeholder;
+					rawPromises.delete( parseInt( id ) );
+					return addPendingPromise( this, promise );
+				} );
+			}
+		}
 
-// Patch Template.prototype.reThrow to preserve the original error as .cause.
-// Edge.js discards the original error class when wrapping in EdgeError, which breaks
-// Eleventy's two-pass rendering system — it can't detect TemplateContentPrematureUseError
-// and fails instead of deferring the template to a second pass.
-const _originalReThrow = Template.prototype.reThrow;
+		return _originalEscape.call( this, input );
+	};
+}
 
-Template.prototype.reThrow = function ( error, filename, lineNumber ) {
+// Preserve the original error as .cause. Edge.js discards the original error class when
+// wrapping in EdgeError, which breaks Eleventy's two-pass rendering system — it can't detect
+// TemplateContentPrematureUseError and fails instead of deferring the template to a second pass.
+function reThrowWithCause( error, filename, lineNumber ) {
 	try {
 		_originalReThrow.call( this, error, filename, lineNumber );
 	} catch ( wrapped ) {
@@ -58,32 +107,67 @@ Template.prototype.reThrow = function ( error, filename, lineNumber ) {
 		}
 		throw wrapped;
 	}
-};
+}
 
-// Patch Template.prototype.render for includes/components that may also contain async calls
-const _originalRender = Template.prototype.render;
+// Behaviors per Edge instance, from the plugin options of the same name. Read on every render
+// so a config reload in --serve applies to an instance passed as `eleventyLibraryOverride`
+const templateBehaviors = new WeakMap();
+const preparedTemplates = new WeakSet();
+const renderingTemplates = new WeakSet();
+
+// A compiled template that applies the behaviors to the Template it renders with. The
+// outermost call (the page, as opposed to its includes and components, which render with the
+// same Template) resolves async placeholders once everything has rendered
+function withTemplateBehaviors( edge, compiledTemplate ) {
+	return function ( template, ...args ) {
+		const behaviors = templateBehaviors.get( edge );
+
+		if ( !preparedTemplates.has( template ) ) {
+			preparedTemplates.add( template );
+			template.escape = escapeWith( behaviors );
+			if ( behaviors.errorCause ) {
+				template.reThrow = reThrowWithCause;
+			}
+		}
 
-Template.prototype.render = function ( template, state ) {
-	if ( !this.__pendingPromises ) {
-		this.__pendingPromises = [];
-	}
+		if ( !behaviors.autoAwait || renderingTemplates.has( template ) ) {
+			return compiledTemplate( template, ...args );
+		}
 
-	const result = _originalRender.call( this, template, state );
+		renderingTemplates.add( template );
+		let result;
+		try {
+			result = compiledTemplate( template, ...args );
+		} catch ( error ) {
+			renderingTemplates.delete( template );
+			throw error;
+		}
 
-	if ( result && typeof result.then === "function" ) {
-		return result.then( output => resolveAsyncPlaceholders( this, output ) );
-	}
+		// Async mode returns a Promise
+		if ( result && typeof result.then === "function" ) {
+			return result
+				.then( output => resolveAsyncPlaceholders( template, output ) )
+				.finally( () => renderingTemplates.delete( template ) );
+		}
+
+		renderingTemplates.delete( template );
+		return result;
+	};
+}
 
-	return result;
-};
+function applyTemplateBehaviors( edge, behaviors ) {
+	templateBehaviors.set( edge, behaviors );
+	wrapCompiledTemplates( edge, "behaviors", compiledTemplate => withTemplateBehaviors( edge, compiledTemplate ) );
+}
 
 async function resolveAsyncPlaceholders( template, output ) {
 	if ( !template.__pendingPromises || template.__pendingPromises.length === 0 ) {
-		return output;
+		return resolveRawPlaceholders( output );
 	}
 
+	// The pending list is not cleared here: a paired shortcode resolves its own content
+	// mid-render, and placeholders already written to the output still point into the list
 	const resolved = await Promise.all( template.__pendingPromises );
-	template.__pendingPromises = [];
 
 	output = output.replace( ASYNC_PATTERN, ( _, idx ) => {
 		const val = resolved[parseInt( idx )];
@@ -91,6 +175,8 @@ async function resolveAsyncPlaceholders( template, output ) {
 		return _originalEscape.call( template, val );
 	} );
 
+	output = await resolveRawPlaceholders( output );
+
 	// Check if resolving introduced new placeholders (unlikely but possible with nested async)
 	if ( ASYNC_PATTERN.test( output ) ) {
 		return resolveAsyncPlaceholders( template, output );
@@ -99,14 +185,205 @@ async function resolveAsyncPlaceholders( template, output ) {
 	return output;
 }
 
+// Replace raw output placeholders with their resolved values, unescaped. Values marked with
+// html.safe() are unwrapped the same way Edge does for escaped output
+async function resolveRawPlaceholders( output ) {
+	const ids = [ ...new Set( Array.from( output.matchAll( RAW_PATTERN ), match => parseInt( match[1] ) ) ) ]
+		.filter( id => rawPromises.has( id ) );
+
+	if ( ids.length === 0 ) {
+		return output;
+	}
+
+	const resolved = new Map();
+	for ( const [ i, value ] of ( await Promise.all( ids.map( id => rawPromises.get( id ) ) ) ).entries() ) {
+		resolved.set( ids[i], value );
+		rawPromises.delete( ids[i] );
+	}
+
+	output = output.replace( RAW_PATTERN, ( placeholder, id ) => {
+		if ( !resolved.has( parseInt( id ) ) ) return placeholder;
+		const val = resolved.get( parseInt( id ) );
+		if ( val == null ) return "";
+		return String( val instanceof SafeValue ? val.value : val );
+	} );
+
+	return output.includes( RAW_PREFIX ) ? resolveRawPlaceholders( output ) : output;
+}
+
+// Paired shortcode tags call into this per-render local rather than the global of the same
+// name, so template data can't shadow them
+const PAIRED_SHORTCODES_KEY = "$pairedShortcodes";
+const PAIRED_SHORTCODE_TAG = Symbol( "pairedShortcodeTag" );
+
+// Set on the plugin's own `markdown()` helper, so it can be told apart from a user global
+const MARKDOWN_HELPER = Symbol( "markdownHelper" );
+
+// Copy Eleventy filters, shortcodes and paired shortcodes into Edge globals, followed by
+// user-provided globals (which win on name collisions). Globals bridged by a previous call
+// that no longer exist in the Eleventy config are removed. Returns the bridged functions
+// that were not shadowed by a user global.
+function bridgeEleventyGlobals( edge, eleventyConfig, globals, previous = {} ) {
+	let functions = Object.assign(
+		{},
+		eleventyConfig.getFilters(),
+		eleventyConfig.getShortcodes(),
+		// Content is passed as the first argument, matching the Handlebars plugin pattern
+		eleventyConfig.getPairedShortcodes()
+	);
+
+	for ( let name of Object.keys( previous ) ) {
+		if ( !( name in functions ) ) {
+			delete edge.globals[name];
+		}
+	}
+
+	for ( let [ name, callback ] of Object.entries( functions ) ) {
+		edge.global( name, callback );
+	}
+
+	// Register user-provided globals
+	for ( let [ name, value ] of Object.entries( globals ) ) {
+		edge.global( name, value );
+	}
+
+	for ( let name of Object.keys( globals ) ) {
+		delete functions[name];
+	}
+
+	return functions;
+}
+
+// Edge tag for an Eleventy paired shortcode: `@name( ...args ) ... @end` or `@!name( ...args )`.
+// The rendered body is passed to the shortcode as `content`, followed by the tag arguments
+let pairedShortcodeCounter = 0;
+
+function createPairedShortcodeTag( name ) {
+	return {
+		block: true,
+		seekable: true,
+		tagName: name,
+		[PAIRED_SHORTCODE_TAG]: true,
+		compile( parser, buffer, token ) {
+			let awaitKeyword = parser.asyncMode ? "await " : "";
+			let contentVar = `paired_shortcode_${ ++pairedShortcodeCounter }`;
+			compileTagBody( parser, buffer, token, contentVar );
+
+			let args = [ "template", contentVar, ...parseTagArguments( parser, token ) ];
+
+			buffer.outputExpression(
+				`${ awaitKeyword }state.${ PAIRED_SHORTCODES_KEY }[${ JSON.stringify( name ) }](${ args.join( ", " ) })`,
+				token.filename,
+				token.loc.start.line,
+				false
+			);
+		}
+	};
+}
+
+// Register every paired shortcode as an Edge block tag. Names already taken by Edge's own
+// tags (or tags registered by someone else) are left alone. Tags registered by a previous
+// call whose shortcode no longer exists are removed. Returns the registered names.
+function bridgePairedShortcodeTags( edge, pairedShortcodes, previousNames = [] ) {
+	for ( let name of previousNames ) {
+		if ( !( name in pairedShortcodes ) && edge.tags[name]?.[PAIRED_SHORTCODE_TAG] ) {
+			delete edge.tags[name];
+		}
+	}
+
+	let names = [];
+	for ( let name of Object.keys( pairedShortcodes ) ) {
+		if ( edge.tags[name] && !edge.tags[name][PAIRED_SHORTCODE_TAG] ) continue;
+		edge.registerTag( createPairedShortcodeTag( name ) );
+		names.push( name );
+	}
+	return names;
+}
+
+// Validate a custom tag definition and name it. The definition is a regular Edge tag
+// (`block`, `seekable`, `compile( parser, buffer, token )` and optional `noNewLine`/`boot`)
+function normalizeTagDefinition( name, definition ) {
+	if ( typeof definition?.compile !== "function" ) {
+		throw new Error( `Edge tag "${ name }" must be an object with a \`compile( parser, buffer, token )\` function.` );
+	}
+
+	return Object.assign(
+		{
+			block: false,
+			seekable: true
+		},
+		definition,
+		{ tagName: name }
+	);
+}
+
+// Wrap bridged functions so they are called with the same `this` context Eleventy provides
+// in Nunjucks and Liquid: `this.page`, `this.eleventy` and `this.ctx` for the current render.
+// Calls go through `run( name, callback, call )`, which applies the async call limits. With
+// `autoAwait`, async arguments are resolved first and async results can be used in raw output
+function bindEleventyContext( functions, data = {}, { run = ( name, callback, call ) => call(), autoAwait = true } = {} ) {
+	let context = {
+		ctx: data,
+		page: data.page,
+		eleventy: data.eleventy
+	};
+
+	let bound = {};
+	for ( let [ name, callback ] of Object.entries( functions ) ) {
+		bound[name] = function ( ...args ) {
+			if ( !autoAwait ) {
+				return run( name, callback, () => callback.call( context, ...args ) );
+			}
+
+			// Resolve async arguments first, so `upcase( asyncTitle() )` works without `await`
+			if ( args.some( arg => arg && typeof arg.then === "function" ) ) {
+				return markRawOutput( Promise.all( args ).then( resolved => run( name, callback, () => callback.call( context, ...resolved ) ) ) );
+			}
+
+			const result = run( name, callback, () => callback.call( context, ...args ) );
+			if ( result && typeof result.then === "function" ) {
+				return markRawOutput( result );
+			}
+			return result;
+		};
+	}
+	return bound;
+}
+
+// Per-render versions of the paired shortcodes used by their block tags. Async output in the
+// tag body is resolved first so the shortcode receives the final content
+function bindPairedShortcodes( pairedShortcodes, data, bindOptions ) {
+	let bound = {};
+	for ( let [ name, callback ] of Object.entries( bindEleventyContext( pairedShortcodes, data, bindOptions ) ) ) {
+		bound[name] = async ( template, content, ...args ) => {
+			return callback( await resolveAsyncPlaceholders( template, content ), ...args );
+		};
+	}
+	return bound;
+}
+
 export default function edgeJsPlugin( eleventyConfig, options = {} ) {
 	eleventyConfig.versionCheck( ">=3.0.0" );
 
 	options = Object.assign(
 		{
+			asyncConcurrency: Infinity,
+			asyncTimeout: 0,
+			autoAwait: true,
 			cache: false,
+			catalog: false,
 			eleventyLibraryOverride: undefined,
-			globals: {}
+			errorCause: true,
+			errorOverlay: false,
+			globals: {},
+			layoutSlots: false,
+			mounts: {},
+			nullAsEmpty: true,
+			precompileCache: false,
+			sharedData: [ "page", "eleventy", "collections" ],
+			strict: false,
+			tags: {},
+			templates: {}
 		},
 		options || {}
 	);
@@ -116,47 +393,333 @@ export default function edgeJsPlugin( eleventyConfig, options = {} ) {
 	// Create Edge instance eagerly so it's available for permalink compilation
 	let edge = options.eleventyLibraryOverride || Edge.create( { cache: options.cache } );
 
-	// Bridge Eleventy filters as Edge globals
-	for ( let [ name, callback ] of Object.entries( eleventyConfig.getFilters() ) ) {
-		edge.global( name, callback );
+	// Custom Edge tags from the `tags` option, and from `eleventyConfig.addEdgeTag()` for
+	// plugins (and config code) that run after this plugin. Registered before paired
+	// shortcodes are bridged so a custom tag wins over a paired shortcode of the same name
+	let addEdgeTag = ( name, definition ) => {
+		edge.registerTag( normalizeTagDefinition( name, definition ) );
+	};
+
+	for ( let [ name, definition ] of Object.entries( options.tags ) ) {
+		addEdgeTag( name, definition );
 	}
 
-	// Bridge Eleventy shortcodes as Edge globals
-	for ( let [ name, callback ] of Object.entries( eleventyConfig.getShortcodes() ) ) {
-		edge.global( name, callback );
+	eleventyConfig.addEdgeTag = addEdgeTag;
+
+	// With `cache: true`, evict edited templates (and the cached templates that render them)
+	// before each watch rebuild so --serve never renders stale includes or components. Component
+	// tags are listed again too, for components created since the first build
+	let invalidateCache = createCacheInvalidator( edge );
+	let refreshComponentTags = createComponentTagRefresher( edge );
+	eleventyConfig.on( "eleventy.beforeWatch", ( changedFiles ) => {
+		invalidateCache( changedFiles );
+		refreshComponentTags();
+	} );
+
+	// In-memory templates from the `templates` option, and from `eleventyConfig.addEdgeTemplate()`
+	// for plugins that ship Edge partials. They resolve through @include and @component like
+	// files in _includes. A template replaced by a config reload is evicted from the cache
+	let templateNames = new Set();
+	let addEdgeTemplate = ( name, source ) => {
+		if ( registerTemplate( edge, name, source ) ) {
+			invalidateCache( [], [ name ] );
+		}
+		templateNames.add( name );
+	};
+
+	for ( let [ name, source ] of Object.entries( options.templates ) ) {
+		addEdgeTemplate( name, source );
 	}
 
-	// Bridge Eleventy paired shortcodes as Edge globals
-	// Content is passed as the first argument, matching the Handlebars plugin pattern
-	for ( let [ name, callback ] of Object.entries( eleventyConfig.getPairedShortcodes() ) ) {
-		edge.global( name, callback );
+	eleventyConfig.addEdgeTemplate = addEdgeTemplate;
+
+	let mountIncludes = ( includesDir ) => {
+		if ( includesDir ) {
+			edge.mount( new URL( includesDir, `file://${ process.cwd() }/` ) );
+		}
+	};
+	// Also mounted as soon as the directories are known: the catalog's global data and the
+	// shortcodes for other template languages can render before the extension's init runs (or
+	// without it, in a site with no .edge files)
+	eleventyConfig.on( "eleventy.directories", ( { includes } ) => mountIncludes( includes ) );
+
+	// Opt-in: catalog pages for the components that declare examples, rendered like any other
+	// page of the site. The catalog is read from the components at the start of every build
+	let catalog = normalizeCatalog( options.catalog );
+	if ( catalog ) {
+		for ( let [ name, source ] of Object.entries( CATALOG_TEMPLATES ) ) {
+			addEdgeTemplate( name, source );
+		}
+		eleventyConfig.addGlobalData( "edgeCatalog", () => buildCatalog( edge, catalog ) );
+
+		let pageData = { layout: catalog.layout, eleventyExcludeFromCollections: true };
+		eleventyConfig.addTemplate( "eleventy-plugin-edgejs/catalog/index.edge", "@include( 'eleventy-plugin-edgejs/catalog/index' )", {
+			...pageData,
+			title: "Components",
+			permalink: `${ catalog.path }index.html`
+		} );
+		eleventyConfig.addTemplate( "eleventy-plugin-edgejs/catalog/component.edge", "@include( 'eleventy-plugin-edgejs/catalog/component' )", {
+			...pageData,
+			pagination: { data: "edgeCatalog.components", size: 1, alias: "component" },
+			permalink: `${ catalog.path }{{ component.slug }}/index.html`,
+			eleventyComputed: {
+				title: data => data.component.name
+			}
+		} );
 	}
 
-	// Register user-provided globals
-	for ( let [ name, value ] of Object.entries( options.globals ) ) {
-		edge.global( name, value );
+	// Bridge Eleventy filters, shortcodes and user globals into Edge. This runs again at the
+	// start of every build so anything registered after this plugin was added (by the config
+	// or by a later plugin) is picked up, and so config reloads in --serve are reflected
+	let bridged = {};
+	let pairedShortcodeTags = [];
+	let renderPluginFunctions = {};
+	let bridge = () => {
+		bridged = bridgeEleventyGlobals( edge, eleventyConfig, options.globals, bridged );
+		pairedShortcodeTags = bridgePairedShortcodeTags( edge, eleventyConfig.getPairedShortcodes(), pairedShortcodeTags );
+		renderPluginFunctions = getRenderPluginFunctions( eleventyConfig );
+		bridgeRenderPluginTags( edge, renderPluginFunctions );
+		addMarkdown();
+		awaitCallsInTags( edge, options.autoAwait ? Object.keys( bridged ) : [] );
+	};
+
+	// `@markdown ... @end` and `markdown( text )` render with Eleventy's markdown library, loaded
+	// before each build. A filter, shortcode, global or tag named `markdown` takes their place
+	let extensionMap;
+	let markdownLibrary;
+	eleventyConfig.on( "eleventy.extensionmap", ( map ) => {
+		extensionMap = map;
+	} );
+
+	let markdown = ( text, markdownOptions ) => renderMarkdown( markdownLibrary, text, markdownOptions );
+	markdown[MARKDOWN_HELPER] = true;
+	let addMarkdown = () => {
+		// Replaces the helper of an earlier config when `eleventyLibraryOverride` is reused
+		if ( !( "markdown" in edge.globals ) || edge.globals.markdown?.[MARKDOWN_HELPER] ) {
+			edge.global( "markdown", markdown );
+		}
+		// Not seekable, so the tag is written without parentheses: `@markdown`
+		if ( !edge.tags.markdown ) {
+			edge.registerTag( { ...createPairedShortcodeTag( "markdown" ), seekable: false } );
+		}
+	};
+
+	// Template dependencies only matter when Eleventy is watching or building incrementally
+	let trackDependencies = false;
+
+	// Opt-in: in --serve and --watch, pages that fail to render show an error page. Edge layouts
+	// pass it through, and a layout in another template language has its markup dropped here
+	let showErrorPages = false;
+	eleventyConfig.addTransform( "edgejs-error-page", ( content ) => {
+		return showErrorPages ? findErrorPage( content ) ?? content : content;
+	} );
+
+	// Named disks for shared component libraries: `@include( 'ui::nav' )`. Rebuild when one of
+	// their templates changes, as with _includes
+	for ( let directory of mountDirectories( edge, options.mounts ) ) {
+		eleventyConfig.addWatchTarget( directory );
+	}
+
+	// Opt-in: keep compiled templates on disk between builds. `true` uses the default directory
+	let resetPrecompileCache = () => {};
+	if ( options.precompileCache ) {
+		let directory = typeof options.precompileCache === "string" ? options.precompileCache : DEFAULT_PRECOMPILE_DIRECTORY;
+		resetPrecompileCache = precompileToDisk( edge, path.resolve( directory ) );
+	}
+
+	// Rendering behaviors, applied only to templates rendered by this Edge instance
+	applyTemplateBehaviors( edge, {
+		nullAsEmpty: options.nullAsEmpty,
+		autoAwait: options.autoAwait,
+		errorCause: options.errorCause
+	} );
+
+	// Includes and components see the page's `page`, `eleventy` and `collections` (or the data
+	// named by `sharedData`) without passing them as props
+	let sharedData = normalizeSharedData( options.sharedData );
+	shareDataWithTemplates( edge );
+
+	// Components can declare their props in a `{{-- @props ... --}}` header: defaults are
+	// applied, and missing, mistyped or unknown props fail the render where they were used
+	checkComponentProps( edge );
+
+	// Opt-in: `@slot` blocks outside of components fill the slots of the page's Edge layouts.
+	// The slots filled so far are kept per page, for the next layout in the chain. Keyed by the
+	// page's paths: a paginated page hands its layouts another `page` object than it rendered with
+	useLayoutSlots( edge, options.layoutSlots );
+	let filledLayoutSlots = new Map();
+	let getPageKey = page => `${ page.inputPath }\0${ page.outputPath }\0${ page.url }`;
+
+	// Errors name the input file and line (after the front matter), with a code frame and the
+	// templates they were rendered through
+	let locator = createSourceLocator( edge );
+	traceTemplates( edge );
+
+	// Opt-in: report `{{ }}` values that are undefined, such as a misspelled variable. `true`
+	// fails the build, "warn" logs each undefined value once per build
+	let warnedUndefined = new Set();
+	let reportUndefined;
+	if ( options.strict === true ) {
+		// An EdgeError keeps its column; the location is added when the error is described
+		reportUndefined = ( { source, filename, line, column } ) => {
+			throw new EdgeError( `Edge strict mode: "${ source }" is undefined. Use \`?.\` or \`??\` where a value may be missing.`, "E_STRICT_UNDEFINED", {
+				filename,
+				line,
+				col: column - 1
+			} );
+		};
+	} else if ( options.strict === "warn" ) {
+		reportUndefined = ( { source, filename, line, column } ) => {
+			let message = `"${ source }" is undefined in ${ locator.describe( filename, line, column ) }`;
+			if ( warnedUndefined.has( message ) ) return;
+			warnedUndefined.add( message );
+			( eleventyConfig.logger ?? console ).warn( `Edge strict mode: ${ message }` );
+		};
+	} else if ( options.strict ) {
+		throw new Error( "The Edge `strict` option must be true, false or \"warn\"." );
+	}
+	strictOutput( edge, reportUndefined );
+
+	// Page bodies and permalinks are compiled once per build and reused for every render
+	// (each pagination page). Cleared per build, as new tags or components change the output
+	let clearCompiledTemplates = cacheRawTemplates( edge );
+
+	// `{{ asyncFn() ?? 'None' }}` uses the resolved value, as tag expressions do
+	awaitCallsInOutput( edge );
+	bridge();
+	eleventyConfig.on( "eleventy.before", async ( { runMode, incremental } ) => {
+		invalidateCache( [], removeTemplatesExcept( edge, templateNames ) );
+		resetPrecompileCache();
+		clearCompiledTemplates();
+		filledLayoutSlots.clear();
+		warnedUndefined.clear();
+		locator.reset();
+		bridge();
+		trackDependencies = runMode !== "build" || incremental;
+		showErrorPages = options.errorOverlay && runMode !== "build";
+		markdownLibrary = extensionMap ? await loadMarkdownLibrary( extensionMap ) : undefined;
+	} );
+
+	// Limit how many async filter and shortcode calls run at once, and how long each may take.
+	// A timeout names the template and line of the call, so compiled templates record them
+	let { asyncConcurrency, asyncTimeout } = options;
+	if ( asyncConcurrency !== Infinity && !( Number.isInteger( asyncConcurrency ) && asyncConcurrency > 0 ) ) {
+		throw new Error( "The Edge `asyncConcurrency` option must be a positive integer or Infinity." );
 	}
+	if ( typeof asyncTimeout !== "number" || !( asyncTimeout >= 0 ) ) {
+		throw new Error( "The Edge `asyncTimeout` option must be a number of milliseconds (0 for no timeout)." );
+	}
+	let limitCall = createCallLimiter( {
+		concurrency: options.asyncConcurrency,
+		timeout: options.asyncTimeout,
+		describe: ( { filename, line } ) => locator.describe( filename, line )
+	} );
+	if ( options.asyncTimeout ) {
+		trackLocations( edge );
+	}
+
+	// Functions that render templates themselves are not limited: the async calls of their
+	// render would wait for the slot they hold, and never run with `asyncConcurrency: 1`
+	let nestedRenders = new Set( [ ...EMBED_SHORTCODES, "renderFile", "renderTemplate" ] );
+
+	// Each render gets its own renderer so bridged functions can be bound to the current
+	// page's context. Shared locals also reach @include and @component renders
+	let renderRaw = ( contents, data, templatePath, layoutSlots ) => {
+		let location = new RenderLocation( templatePath ?? data?.page?.inputPath );
+		let bindOptions = {
+			run: ( name, callback, call ) => nestedRenders.has( name ) ? call() : limitCall( name, callback, location, call ),
+			autoAwait: options.autoAwait
+		};
+
+		return edge.createRenderer()
+			.share( bindEleventyContext( bridged, data, bindOptions ) )
+			// Edge's `share()` deep merges plain objects. The location and layout slots (which
+			// templates write to) and the shared data (which holds every collection) are class
+			// instances, so it keeps a reference to them instead of copying them
+			.share( {
+				[PAIRED_SHORTCODES_KEY]: {
+					// The newline after the block is kept, so the rendered block's own is dropped
+					markdown: async ( template, content ) => markdown( await resolveAsyncPlaceholders( template, content ) ).trimEnd(),
+					...bindPairedShortcodes( eleventyConfig.getPairedShortcodes(), data, bindOptions )
+				},
+				[RENDER_PLUGIN_KEY]: bindEleventyContext( renderPluginFunctions, data, bindOptions ),
+				[LOCATION_KEY]: location,
+				[SHARED_DATA_KEY]: new SharedData( pickSharedData( data, sharedData ) ),
+				[LAYOUT_SLOTS_KEY]: layoutSlots
+			} )
+			.renderRaw( contents, data, templatePath )
+			.catch( ( error ) => {
+				throw describeEdgeError( error, locator );
+			} );
+	};
+
+	// `edgeComponent`, `edgeComponentBlock` and `edgeInclude` render Edge templates from pages in
+	// other languages, with the same shared data, filters and async output as Edge pages
+	addEmbedShortcodes( eleventyConfig, ( source, data, templatePath ) => renderRaw( source, data, templatePath ) );
 
 	eleventyConfig.addExtension( "edge", {
 		init: async function () {
 			// Mount _includes directory for @include/@component support
-			let includesDir = this.config.directories?.includes;
-			if ( includesDir ) {
-				edge.mount( new URL( includesDir, `file://${ process.cwd() }/` ) );
-			}
+			mountIncludes( this.config.directories?.includes );
 		},
 
-		compile: ( str ) => {
+		compile: function ( str, inputPath ) {
+			let filename = inputPath ? path.resolve( inputPath ) : undefined;
+			if ( filename ) {
+				locator.addPage( filename, str );
+			}
+
+			// Report included templates and components (transitively) so --incremental only
+			// re-renders pages that use a changed partial. Eleventy adds layouts on its own
+			if ( trackDependencies && filename ) {
+				this.addDependencies( inputPath, findTemplateDependencies( edge, str, filename ) );
+			}
+
 			return async ( data ) => {
-				return edge.renderRaw( str, data );
+				// A layout of a page that failed shows the error page as it is
+				if ( showErrorPages && data?.content?.startsWith?.( ERROR_PAGE_MARKER ) ) {
+					return data.content;
+				}
+
+				try {
+					if ( !options.layoutSlots || !data?.page ) {
+						return await renderRaw( str, data, filename );
+					}
+
+					// A layout gets the slots its page (and the layouts before it) filled as `$slots`
+					let isLayout = !data.page.inputPath || filename !== path.resolve( data.page.inputPath );
+					let layoutSlots = new LayoutSlots( isLayout ? filledLayoutSlots.get( getPageKey( data.page ) ) : {}, resolveAsyncPlaceholders );
+					if ( isLayout ) {
+						data = { ...data, $slots: layoutSlots.toSlots( data.content ) };
+					}
+
+					let output = await renderRaw( str, data, filename, layoutSlots );
+					filledLayoutSlots.set( getPageKey( data.page ), layoutSlots.filled );
+					return output;
+				} catch ( error ) {
+					// Only HTML pages can show an error. Eleventy renders templates that use another
+					// page's content too early again later
+					let isHtml = typeof data?.page?.outputPath === "string" && data.page.outputPath.endsWith( ".html" );
+					if ( !showErrorPages || !isHtml || isPrematureUse( error ) ) {
+						throw error;
+					}
+
+					( eleventyConfig.logger ?? console ).error( `Edge: showing an error page for ${ inputPath }\n${ error?.message ?? error }` );
+					return renderErrorPage( error, inputPath );
+				}
 			};
 		},
 
 		compileOptions: {
-			permalink: ( contents ) => {
+			permalink: ( contents, inputPath ) => {
 				if ( typeof contents === "string" ) {
+					// Permalinks get their own cache entry so they don't evict the page body
+					let filename = inputPath ? `${ path.resolve( inputPath ) }#permalink` : undefined;
+					if ( filename ) {
+						locator.addPage( filename, contents );
+					}
 					return async ( data ) => {
-						return edge.renderRaw( contents, data );
+						return renderRaw( contents, data, filename );
 					};
 				}
 				return contents;
@@ -27,7 +27,7 @@ export default function ( eleventyConfig ) {
 		return jokes[Math.floor( Math.random() * jokes.length )];
 	} );
 
-	// Paired shortcodes (content is first argument)
+	// Paired shortcodes (used as block tags, the body is passed as content)
 	eleventyConfig.addPairedShortcode( "callout", ( content, type = "info" ) => {
 		return `<div class="callout callout-${ type }">${ content }</div>`;
 	} );
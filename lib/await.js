@@ -0,0 +1,100 @@
+import { rewriteExpression, rewriteMustaches } from "./expressions.js";
+
+// Await bridged filters and shortcodes in tag expressions, so `@if( isPublished( post ) )`,
+// `@each( item in fetchFeed( url ) )` and `@let( x = asyncFn() )` get the resolved value
+// instead of a Promise, like Eleventy's async filters in Nunjucks. The same goes for mustache
+// expressions that use the value, such as `{{ asyncFn() ?? 'None' }}`. A mustache that is only
+// a call (`{{ asyncFn() }}`) is left alone: its Promise is resolved after rendering, so the
+// calls of a template run in parallel.
+
+// Set on wrapped tags, holding the tag's own compile function
+const AWAIT_CALLS = Symbol( "awaitCalls" );
+
+// Call expressions whose callee is one of `names` and not shadowed by a template variable
+function findCalls( node, names, parser, calls = [] ) {
+	if ( Array.isArray( node ) ) {
+		for ( let child of node ) {
+			findCalls( child, names, parser, calls );
+		}
+		return calls;
+	}
+
+	if ( !node || typeof node.type !== "string" ) {
+		return calls;
+	}
+
+	let isCall = node.type === "CallExpression" && node.callee.type === "Identifier";
+	if ( isCall && names.has( node.callee.name ) && !parser.stack.has( node.callee.name ) ) {
+		calls.push( node );
+	}
+
+	for ( let [ key, value ] of Object.entries( node ) ) {
+		if ( key !== "loc" && value && typeof value === "object" ) {
+			findCalls( value, names, parser, calls );
+		}
+	}
+	return calls;
+}
+
+// Rewrite `jsArg` so every call to one of `names` is wrapped in `(await ...)`. With
+// `skipBareCall`, an expression that is only such a call is left alone
+export function awaitCalls( parser, token, names, { skipBareCall = false } = {} ) {
+	if ( !parser.asyncMode || names.size === 0 ) {
+		return token.properties.jsArg;
+	}
+
+	return rewriteExpression( parser, token, ( ast ) => {
+		let expression = ast.type === "ExpressionStatement" ? ast.expression : ast;
+		if ( skipBareCall && findCalls( expression, names, parser )[0] === expression ) {
+			return [];
+		}
+
+		// Nested calls never share an offset
+		return findCalls( ast, names, parser ).flatMap( call => [
+			{ at: call.start, text: "(await " },
+			{ at: call.end, text: ")" }
+		] );
+	} );
+}
+
+// The names to await per Edge instance. Read when a tag compiles, so tags wrapped by an earlier
+// config in --serve use the current names
+const awaitedNames = new WeakMap();
+
+// The names whose calls templates compiled by `edge` await
+export function getAwaitedNames( edge ) {
+	return awaitedNames.get( edge ) ?? new Set();
+}
+
+// Await calls to `names` in every registered tag. Edge's built-in tag objects are shared by all
+// Edge instances, so each tag is replaced with a wrapped copy rather than modified
+export function awaitCallsInTags( edge, names ) {
+	awaitedNames.set( edge, new Set( names ) );
+
+	for ( let [ name, tag ] of Object.entries( edge.tags ) ) {
+		if ( tag[AWAIT_CALLS] ) continue;
+
+		let { compile } = tag;
+		edge.tags[name] = {
+			...tag,
+			[AWAIT_CALLS]: compile,
+			compile( parser, buffer, token ) {
+				token.properties.jsArg = awaitCalls( parser, token, awaitedNames.get( edge ) );
+				return compile.call( this, parser, buffer, token );
+			}
+		};
+	}
+}
+
+// Await calls to the names given to `awaitCallsInTags()` in the `{{ }}` and `{{{ }}}` output
+// of templates compiled by `edge` from now on
+export function awaitCallsInOutput( edge ) {
+	rewriteMustaches( edge, "await", ( parser, token ) => {
+		return awaitCalls( parser, token, getAwaitedNames( edge ), { skipBareCall: true } );
+	} );
+}
+
+// The compile function a tag was registered with, before it was wrapped
+export function getOwnCompile( tag ) {
+	return tag[AWAIT_CALLS] ?? tag.compile;
+}
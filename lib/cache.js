@@ -0,0 +1,112 @@
+import path from "node:path";
+
+import { findRenderedTemplates, getComponentTags } from "./dependencies.js";
+
+// One tracker per Edge instance, so an instance passed as `eleventyLibraryOverride` keeps
+// its list of cached templates across config reloads in --serve
+const trackers = new WeakMap();
+
+// Edge caches compiled includes and components by path and never looks at the file again.
+// Record what it caches, so entries can be evicted when Eleventy reports changed files
+function trackCachedTemplates( edge ) {
+	if ( trackers.has( edge ) ) {
+		return trackers.get( edge );
+	}
+
+	let cached = new Set();
+	for ( let { cacheManager } of [ edge.compiler, edge.asyncCompiler ] ) {
+		let set = cacheManager.set.bind( cacheManager );
+		cacheManager.set = ( templatePath, payload ) => {
+			if ( cacheManager.enabled ) {
+				cached.add( templatePath );
+			}
+			return set( templatePath, payload );
+		};
+	}
+
+	trackers.set( edge, cached );
+	return cached;
+}
+
+// Returns a function that evicts the changed templates from Edge's cache, along with every
+// cached template that renders one of them (directly or through other templates). Changed
+// in-memory templates are passed by name
+export function createCacheInvalidator( edge ) {
+	let cached = trackCachedTemplates( edge );
+
+	return function invalidate( changedFiles = [], changedTemplates = [] ) {
+		let changed = new Set(
+			changedFiles
+				.filter( file => file.endsWith( ".edge" ) )
+				.map( file => path.resolve( file ) )
+				.concat( changedTemplates )
+		);
+
+		if ( changed.size === 0 ) return [];
+
+		let evicted = [];
+		for ( let templatePath of cached ) {
+			let isStale = changed.has( templatePath );
+
+			if ( !isStale ) {
+				try {
+					let { template } = edge.loader.resolve( templatePath );
+					isStale = findRenderedTemplates( edge, template, templatePath ).some( file => changed.has( file ) );
+				} catch {
+					// The template itself is gone
+					isStale = true;
+				}
+			}
+
+			if ( isStale ) {
+				edge.compiler.cacheManager.delete( templatePath );
+				edge.asyncCompiler.cacheManager.delete( templatePath );
+				cached.delete( templatePath );
+				evicted.push( templatePath );
+			}
+		}
+		return evicted;
+	};
+}
+
+// Tag names of the components on disk, per Edge instance
+const componentTagLists = new WeakMap();
+
+// With `cache: true`, Edge lists the components for component tags (`@!card()`) once, on the
+// first render. Claim the tags of components added since then as well, so a component created
+// during --serve can be used without a restart. Returns a function that lists them again
+export function createComponentTagRefresher( edge ) {
+	if ( !componentTagLists.has( edge ) ) {
+		let tags = {};
+		// The tags Edge claims itself. A compiler has one claim function, which Edge sets on first
+		// render; on an instance that rendered before this, every tag is left to Edge
+		let claimedByEdge = () => true;
+
+		for ( let compiler of [ edge.compiler, edge.asyncCompiler ] ) {
+			let claimTag = compiler.claimTag.bind( compiler );
+			compiler.claimTag = ( fn ) => {
+				claimedByEdge = fn;
+				return claimTag( name => fn( name ) ?? ( tags[name] ? { seekable: true, block: true } : null ) );
+			};
+		}
+
+		// As Edge does for the components it knows, `@!card()` becomes `@!component('components/card')`
+		edge.processor.process( "tag", ( { tag } ) => {
+			let component = tags[tag.properties.name];
+			if ( !component || claimedByEdge( tag.properties.name ) ) return;
+			tag.properties.name = "component";
+			let jsArg = tag.properties.jsArg.trim();
+			tag.properties.jsArg = jsArg ? `'${ component }',${ tag.properties.jsArg }` : `'${ component }'`;
+		} );
+
+		componentTagLists.set( edge, tags );
+	}
+
+	let tags = componentTagLists.get( edge );
+	return function refresh() {
+		for ( let name of Object.keys( tags ) ) {
+			delete tags[name];
+		}
+		Object.assign( tags, getComponentTags( edge ) );
+	};
+}
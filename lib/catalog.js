@@ -0,0 +1,139 @@
+import { describeLocation } from "./limit.js";
+import { parseProps } from "./props.js";
+
+// Component catalog: a page per component in the `components/` directories (of `_includes`
+// and mounted disks) that declares examples, showing each example rendered, its usage, the
+// declared props and the component's source, plus an index page linking them. The pages are
+// regular Eleventy pages rendered by the plugin, so examples use the site's filters,
+// shortcodes and globals.
+//
+//   {{-- @examples
+//   [
+//     { "title": "Primary", "props": { "text": "Save" } },
+//     { "title": "With an icon", "props": { "text": "Next", "icon": "arrow" }, "slot": "<b>Slot content</b>" }
+//   ]
+//   --}}
+
+const EXAMPLES = /\{\{--\s*@examples\b([\s\S]*?)--\}\}/;
+const DEFAULT_PATH = "/components/";
+
+// Names of the in-memory templates the catalog pages render
+export const CATALOG_TEMPLATES = {
+	"eleventy-plugin-edgejs/catalog/index": `<h1>Components</h1>
+<ul class="edge-catalog-index">
+  @each( component in edgeCatalog.components )
+  <li><a href="{{ component.url }}">{{ component.name }}</a></li>
+  @end
+</ul>`,
+
+	"eleventy-plugin-edgejs/catalog/component": `<h1>{{ component.name }}</h1>
+<p><a href="{{ edgeCatalog.path }}">All components</a></p>
+@each( example in component.examples )
+<section class="edge-catalog-example">
+  <h2>{{ example.title }}</h2>
+  <div class="edge-catalog-preview">
+    @if( example.slot )
+    @component( component.name, example.props )
+      {{{ example.slot }}}
+    @end
+    @else
+    @!component( component.name, example.props )
+    @end
+  </div>
+  <pre class="edge-catalog-usage"><code>{{ example.usage }}</code></pre>
+</section>
+@end
+@if( component.props.length )
+<h2>Props</h2>
+<table class="edge-catalog-props">
+  <thead>
+    <tr><th>Name</th><th>Type</th><th>Required</th><th>Default</th></tr>
+  </thead>
+  <tbody>
+    @each( prop in component.props )
+    <tr><td><code>{{ prop.name }}</code></td><td>{{ prop.types.join( ' | ' ) }}</td><td>{{ prop.required ? 'Yes' : 'No' }}</td><td><code>{{ prop.defaultValue ?? '' }}</code></td></tr>
+    @end
+  </tbody>
+</table>
+@end
+<h2>Source</h2>
+<pre class="edge-catalog-source"><code>{{ component.source }}</code></pre>`
+};
+
+// Validate the `catalog` option: false, true or `{ path, layout }`. Returns the settings, or
+// undefined when the catalog is off
+export function normalizeCatalog( catalog ) {
+	if ( !catalog ) return undefined;
+
+	let settings = Object.assign( { path: DEFAULT_PATH, layout: undefined }, catalog === true ? {} : catalog );
+	if ( typeof settings.path !== "string" || !settings.path.startsWith( "/" ) ) {
+		throw new Error( "The Edge `catalog.path` option must be a URL path starting with \"/\"." );
+	}
+	if ( !settings.path.endsWith( "/" ) ) {
+		settings.path += "/";
+	}
+	return settings;
+}
+
+// The examples declared in a component's source, or an empty list
+export function parseExamples( source, filename ) {
+	let block = EXAMPLES.exec( source );
+	if ( !block ) return [];
+
+	let examples;
+	try {
+		examples = JSON.parse( block[1] );
+	} catch ( error ) {
+		throw new Error( `The @examples of ${ describeLocation( { filename } ) } must be a JSON array: ${ error.message }`, { cause: error } );
+	}
+	if ( !Array.isArray( examples ) ) {
+		throw new Error( `The @examples of ${ describeLocation( { filename } ) } must be a JSON array.` );
+	}
+
+	return examples.map( ( example, index ) => ( {
+		title: example.title ?? `Example ${ index + 1 }`,
+		props: example.props ?? {},
+		slot: example.slot ?? ""
+	} ) );
+}
+
+// How to use a component with `props`, and `slot` as its content
+function usageSnippet( name, props, slot ) {
+	let args = Object.keys( props ).length ? `'${ name }', ${ JSON.stringify( props, null, 2 ) }` : `'${ name }'`;
+	if ( !slot ) {
+		return `@!component( ${ args } )`;
+	}
+	return `@component( ${ args } )\n  ${ slot.replace( /\n/g, "\n  " ) }\n@end`;
+}
+
+// The catalog data for the components of `edge` that declare examples, for the pages at `path`
+export function buildCatalog( edge, { path } ) {
+	let components = [];
+	let names = new Set();
+	for ( let { diskName, components: diskComponents } of edge.loader.listComponents() ) {
+		for ( let { componentName } of diskComponents ) {
+			let name = diskName === "default" ? componentName : `${ diskName }::${ componentName }`;
+			// In-memory templates are listed with the files of the default disk
+			if ( !componentName.startsWith( "components/" ) || names.has( name ) ) continue;
+			names.add( name );
+
+			let { template, templatePath } = edge.loader.resolve( name );
+			let filename = templatePath ?? name;
+			let examples = parseExamples( template, filename );
+			if ( examples.length === 0 ) continue;
+
+			let slug = componentName.replace( /^components\//, diskName === "default" ? "" : `${ diskName }/` );
+			components.push( {
+				name,
+				slug,
+				url: `${ path }${ slug }/`,
+				source: template,
+				props: parseProps( template, filename )?.props ?? [],
+				examples: examples.map( example => ( { ...example, usage: usageSnippet( name, example.props, example.slot ) } ) )
+			} );
+		}
+	}
+
+	components.sort( ( a, b ) => a.name.localeCompare( b.name ) );
+	return { path, components };
+}
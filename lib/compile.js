@@ -0,0 +1,102 @@
+// The compile pipeline of an Edge instance. Several features change what compiling a template
+// gives back: the precompile cache reads it from disk, the template behaviors, shared data and
+// error tracing wrap the compiled function, and page bodies are reused for a whole build. Edge's
+// compilers are wrapped once, and each feature fills its own stage, so the stages always run in
+// this order, whichever feature is installed first:
+//
+//   1. The source of the compiled function: Edge, or the precompile cache, which stores the
+//      function Edge generated and so has to come before any wrapper
+//   2. The wrappers, innermost first, in the order of `WRAPPERS`
+//   3. Raw templates (page bodies and permalinks), reused while a path's source is unchanged
+
+const WRAPPERS = [ "behaviors", "sharedData", "trace" ];
+
+// The stages per Edge instance
+const pipelines = new WeakMap();
+
+function getPipeline( edge ) {
+	if ( pipelines.has( edge ) ) {
+		return pipelines.get( edge );
+	}
+
+	let pipeline = { source: undefined, wrappers: new Map(), cacheRaw: false, rawTemplates: [] };
+	pipelines.set( edge, pipeline );
+
+	let wrap = ( compiledTemplate, templatePath, isRaw ) => {
+		for ( let name of WRAPPERS ) {
+			let wrapper = pipeline.wrappers.get( name );
+			if ( wrapper ) {
+				compiledTemplate = wrapper( compiledTemplate, { templatePath, isRaw } );
+			}
+		}
+		return compiledTemplate;
+	};
+
+	for ( let compiler of [ edge.compiler, edge.asyncCompiler ] ) {
+		let compile = compiler.compile.bind( compiler );
+		let compileRaw = compiler.compileRaw.bind( compiler );
+		let rawTemplates = new Map();
+		pipeline.rawTemplates.push( rawTemplates );
+
+		compiler.compile = ( templatePath, localVariables ) => {
+			let compiledTemplate = pipeline.source
+				? pipeline.source.compile( compiler, templatePath, localVariables, compile )
+				: compile( templatePath, localVariables );
+			return wrap( compiledTemplate, templatePath, false );
+		};
+
+		compiler.compileRaw = ( contents, templatePath = "eval.edge" ) => {
+			let entry = pipeline.cacheRaw ? rawTemplates.get( templatePath ) : undefined;
+			if ( entry?.contents !== contents ) {
+				let compiledTemplate = pipeline.source
+					? pipeline.source.compileRaw( compiler, contents, templatePath, compileRaw )
+					: compileRaw( contents, templatePath );
+				entry = { contents, fn: wrap( compiledTemplate, templatePath, true ) };
+				if ( pipeline.cacheRaw ) {
+					rawTemplates.set( templatePath, entry );
+				}
+			}
+			return entry.fn;
+		};
+	}
+
+	return pipeline;
+}
+
+function clearRawTemplates( pipeline ) {
+	for ( let rawTemplates of pipeline.rawTemplates ) {
+		rawTemplates.clear();
+	}
+}
+
+// Compile templates with `source` instead of Edge: `source.compile( compiler, templatePath,
+// localVariables, compile )` and `source.compileRaw( compiler, contents, templatePath,
+// compileRaw )`, given the compiler's own function to fall back to
+export function setCompileSource( edge, source ) {
+	let pipeline = getPipeline( edge );
+	pipeline.source = source;
+	clearRawTemplates( pipeline );
+}
+
+// Wrap every template compiled by `edge` from now on with `wrapper( compiledTemplate, {
+// templatePath, isRaw } )`, at the place of `name` in `WRAPPERS`. Wrapping again under the same
+// name (a config reload in --serve) replaces the wrapper
+export function wrapCompiledTemplates( edge, name, wrapper ) {
+	if ( !WRAPPERS.includes( name ) ) {
+		throw new Error( `Unknown compile wrapper "${ name }".` );
+	}
+
+	let pipeline = getPipeline( edge );
+	pipeline.wrappers.set( name, wrapper );
+	clearRawTemplates( pipeline );
+}
+
+// Edge compiles raw template strings again on every render. Page bodies and permalinks are
+// rendered from the same raw string over and over (pagination renders one page per item),
+// so reuse the compiled function while a path is rendered with unchanged source. Returns a
+// function that empties the cache, for when tags or components change between builds
+export function cacheRawTemplates( edge ) {
+	let pipeline = getPipeline( edge );
+	pipeline.cacheRaw = true;
+	return () => clearRawTemplates( pipeline );
+}
@@ -0,0 +1,62 @@
+import { wrapCompiledTemplates } from "./compile.js";
+
+// Eleventy data in components: Edge renders a component with only the props it was given
+// (and globals), so `page`, `eleventy` and `collections` had to be passed to every
+// `@component()` call. The plugin shares the page's values for the names in the `sharedData`
+// option with every template the page renders. Props and the template's own data win.
+
+// Name of the per-render local holding the shared values
+export const SHARED_DATA_KEY = "$sharedData";
+
+// The shared values of one render
+export class SharedData {
+	constructor( values ) {
+		this.values = values;
+	}
+}
+
+// Validate the `sharedData` option: a list of data names, `true` for all data or `false`
+export function normalizeSharedData( names ) {
+	if ( names === true || names === false ) {
+		return names;
+	}
+	if ( !Array.isArray( names ) || names.some( name => typeof name !== "string" ) ) {
+		throw new Error( "The Edge `sharedData` option must be an array of data names, true or false." );
+	}
+	return names;
+}
+
+// The values of `data` to share, for the names from `normalizeSharedData()`
+export function pickSharedData( data = {}, names ) {
+	if ( names === true ) {
+		return { ...data };
+	}
+
+	let values = {};
+	for ( let name of names || [] ) {
+		if ( name in data ) {
+			values[name] = data[name];
+		}
+	}
+	return values;
+}
+
+function withSharedData( compiledTemplate ) {
+	return function ( template, state, ...args ) {
+		let shared = state?.[SHARED_DATA_KEY];
+		if ( shared instanceof SharedData ) {
+			for ( let [ name, value ] of Object.entries( shared.values ) ) {
+				if ( !( name in state ) ) {
+					state[name] = value;
+				}
+			}
+		}
+		return compiledTemplate( template, state, ...args );
+	};
+}
+
+// Give every template compiled by `edge` (pages, includes and components) the shared values
+// of the render it is part of, for names its state doesn't already have
+export function shareDataWithTemplates( edge ) {
+	wrapCompiledTemplates( edge, "sharedData", withSharedData );
+}
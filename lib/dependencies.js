@@ -0,0 +1,120 @@
+import { isAbsolute } from "node:path";
+
+// Static discovery of the templates an Edge template renders, used to feed Eleventy's
+// dependency graph so incremental builds only re-render pages that use a changed partial.
+// Only string literal template names can be discovered; dynamic names are skipped.
+
+// A string literal as the first argument: @include( 'nav' ), @component( 'card', {...} )
+const LEADING_STRING = /^\s*(['"`])([^'"`$]+)\1/;
+
+// A string literal as the last argument: @includeIf( condition, 'nav' )
+const TRAILING_STRING = /(['"`])([^'"`$]+)\1\s*$/;
+
+// Component tags (`@card()`, `@!ui.button()`) are only claimed by the lexer once Edge has
+// rendered something, before that they come through as raw text
+const RAW_TAG = /^\s*@!?([\w.]+)\s*\(/;
+
+// Map of component tag names to component template names, e.g. `card` => `components/card`
+export function getComponentTags( edge ) {
+	let tags = {};
+	for ( let { components } of edge.loader.listComponents() ) {
+		for ( let { tagName, componentName } of components ) {
+			tags[tagName] = componentName;
+		}
+	}
+	return tags;
+}
+
+// Resolve a template name to a file on disk, or to the name itself for templates registered
+// in memory. Returns undefined for names on disks that are not mounted
+function resolveTemplate( edge, name, registered ) {
+	if ( registered.has( name ) ) {
+		return name;
+	}
+
+	try {
+		let templatePath = edge.loader.makePath( name );
+		if ( isAbsolute( templatePath ) ) {
+			return templatePath;
+		}
+	} catch {
+		// Unmounted disk: the render will report it
+	}
+}
+
+function getReferencedNames( tokens, componentTags, names = [] ) {
+	for ( let token of tokens ) {
+		if ( token.type === "tag" ) {
+			let { name, jsArg } = token.properties;
+			let match;
+			if ( name === "include" || name === "component" ) {
+				match = jsArg.match( LEADING_STRING );
+			} else if ( name === "includeIf" ) {
+				match = jsArg.match( TRAILING_STRING );
+			} else if ( componentTags[name] ) {
+				names.push( componentTags[name] );
+			}
+
+			if ( match ) {
+				names.push( match[2] );
+			}
+		} else if ( token.type === "raw" ) {
+			let match = token.value.match( RAW_TAG );
+			if ( match && componentTags[match[1]] ) {
+				names.push( componentTags[match[1]] );
+			}
+		}
+
+		if ( token.children ) {
+			getReferencedNames( token.children, componentTags, names );
+		}
+	}
+	return names;
+}
+
+function getReferencedTemplates( edge, contents, filename, componentTags, registered ) {
+	let tokens;
+	try {
+		tokens = edge.asyncCompiler.tokenizeRaw( contents, filename );
+	} catch {
+		// Syntax errors are reported when the template is compiled
+		return [];
+	}
+
+	return getReferencedNames( tokens, componentTags )
+		.map( name => resolveTemplate( edge, name, registered ) )
+		.filter( Boolean );
+}
+
+// Find every template rendered by `contents` through @include, @includeIf,
+// @component/@!component and component tags, following those templates transitively.
+// Returns absolute file paths and the names of in-memory templates, excluding `filename`
+export function findRenderedTemplates( edge, contents, filename ) {
+	let componentTags = getComponentTags( edge );
+	let registered = new Set( Object.keys( edge.loader.templates ) );
+	let found = new Set();
+	let queue = getReferencedTemplates( edge, contents, filename, componentTags, registered );
+
+	while ( queue.length ) {
+		let template = queue.shift();
+		if ( template === filename || found.has( template ) ) continue;
+		found.add( template );
+
+		let source;
+		try {
+			source = edge.loader.resolve( template ).template;
+		} catch {
+			// Missing files are reported when the template is rendered
+			continue;
+		}
+		queue.push( ...getReferencedTemplates( edge, source, template, componentTags, registered ) );
+	}
+
+	return [ ...found ];
+}
+
+// The files on disk a template depends on, for Eleventy's dependency graph. In-memory
+// templates are followed (a registered template may include a file) but not reported
+export function findTemplateDependencies( edge, contents, filename ) {
+	return findRenderedTemplates( edge, contents, filename ).filter( template => isAbsolute( template ) );
+}
@@ -0,0 +1,63 @@
+// Edge templates in other languages: universal shortcodes, so Nunjucks, Liquid, Markdown and
+// JavaScript pages can render the Edge components and includes written for Edge pages
+//
+//   {% edgeComponent "components/card", { title: "Hello" } %}
+//   {% edgeComponentBlock "components/card", { title: "Hello" } %}<p>Main slot</p>{% endedgeComponentBlock %}
+//   {% edgeInclude "partials/footer", { year: 2025 } %}
+//
+// They render with the page's data, so shared data (`page`, `collections`, ...) and includes
+// see the same values they do on Edge pages.
+
+// The shortcodes, which render Edge templates themselves
+export const EMBED_SHORTCODES = [ "edgeComponent", "edgeComponentBlock", "edgeInclude" ];
+
+// Name of the local holding the shortcode's arguments while its template renders
+export const EMBED_KEY = "$edgeEmbed";
+
+const SOURCES = {
+	component: `@!component( ${ EMBED_KEY }.name, ${ EMBED_KEY }.props )`,
+	componentBlock: `@component( ${ EMBED_KEY }.name, ${ EMBED_KEY }.props )\n{{{ ${ EMBED_KEY }.content }}}\n@end`,
+	include: `@include( ${ EMBED_KEY }.name )`
+};
+
+// The data of the page a shortcode is called from. Liquid gives shortcodes its scope, Nunjucks
+// the template's variables and JavaScript templates only `page` and `eleventy`
+function getPageData( context = {} ) {
+	let { ctx } = context;
+	let data = typeof ctx?.getAll === "function" ? ctx.getAll() : { ...ctx };
+	return {
+		...data,
+		page: context.page ?? data.page,
+		eleventy: context.eleventy ?? data.eleventy
+	};
+}
+
+function checkName( shortcode, name ) {
+	if ( typeof name !== "string" || !name ) {
+		throw new Error( `The ${ shortcode } shortcode needs the name of an Edge template, such as "components/card".` );
+	}
+}
+
+// Add the `edgeComponent`, `edgeComponentBlock` and `edgeInclude` shortcodes. `render( source,
+// data, templatePath )` renders Edge source the way the plugin renders a page
+export function addEmbedShortcodes( eleventyConfig, render ) {
+	// Each source renders under its own name, so their compiled templates are cached side by side
+	let renderSource = ( kind, data ) => render( SOURCES[kind], data, `eleventy-plugin-edgejs/embed/${ kind }.edge` );
+
+	eleventyConfig.addShortcode( "edgeComponent", async function ( name, props = {} ) {
+		checkName( "edgeComponent", name );
+		return renderSource( "component", { ...getPageData( this ), [EMBED_KEY]: { name, props } } );
+	} );
+
+	// The content fills the component's main slot
+	eleventyConfig.addPairedShortcode( "edgeComponentBlock", async function ( content, name, props = {} ) {
+		checkName( "edgeComponentBlock", name );
+		return renderSource( "componentBlock", { ...getPageData( this ), [EMBED_KEY]: { name, props, content } } );
+	} );
+
+	// An include sees the page's data and `data`, as with `@include` on an Edge page
+	eleventyConfig.addShortcode( "edgeInclude", async function ( name, data = {} ) {
+		checkName( "edgeInclude", name );
+		return renderSource( "include", { ...getPageData( this ), ...data, [EMBED_KEY]: { name } } );
+	} );
+}
@@ -0,0 +1,206 @@
+import { readFileSync } from "node:fs";
+
+import { EdgeError } from "edge.js";
+
+import { wrapCompiledTemplates } from "./compile.js";
+import { describeLocation } from "./limit.js";
+
+// Edge reports errors by the line in the source it compiled. For pages and layouts that is the
+// body Eleventy passed after removing the front matter, so lines are off by the front matter's
+// length. Map errors back to the input file, and add a code frame and the chain of templates
+// (page, includes, components) the error was rendered through.
+
+// Names of the templates an error propagated through, innermost first
+const templateChains = new WeakMap();
+const describedErrors = new WeakSet();
+
+function recordTemplate( error, name ) {
+	if ( !error || typeof error !== "object" ) return;
+	let chain = templateChains.get( error ) ?? [];
+	if ( chain.at( -1 ) !== name ) {
+		chain.push( name );
+	}
+	templateChains.set( error, chain );
+}
+
+function traceCalls( compiledTemplate, getName ) {
+	return function ( ...args ) {
+		let result;
+		try {
+			result = compiledTemplate( ...args );
+		} catch ( error ) {
+			recordTemplate( error, getName() );
+			throw error;
+		}
+
+		// Async mode returns a Promise
+		if ( result && typeof result.then === "function" ) {
+			return result.catch( ( error ) => {
+				recordTemplate( error, getName() );
+				throw error;
+			} );
+		}
+		return result;
+	};
+}
+
+// Record the templates an error passes through on its way out of a render. Names match the
+// `filename` Edge gives its errors: the absolute path, or the name of an in-memory template
+export function traceTemplates( edge ) {
+	wrapCompiledTemplates( edge, "trace", ( compiledTemplate, { templatePath, isRaw } ) => {
+		return traceCalls( compiledTemplate, () => isRaw ? templatePath : edge.loader.makePath( templatePath ) );
+	} );
+}
+
+function countLines( text ) {
+	return text.split( "\n" ).length - 1;
+}
+
+// Returns `{ locate, describe, addPage, reset }` for mapping Edge locations to source files.
+// Pages (and layouts and permalinks) are registered with the contents Eleventy compiled, so
+// they can be found in their input file. Other templates are read through Edge's loader
+export function createSourceLocator( edge ) {
+	let pages = new Map();
+	let sources = new Map();
+
+	let readSource = ( filename ) => {
+		if ( pages.has( filename ) ) {
+			let contents = pages.get( filename );
+			let file = filename.replace( /#permalink$/, "" );
+			let raw;
+			try {
+				raw = readFileSync( file, "utf8" );
+			} catch {
+				// A virtual template (`eleventyConfig.addTemplate()`): Edge saw all of it
+			}
+
+			let index = raw?.lastIndexOf( contents ) ?? -1;
+			if ( index === -1 ) {
+				return { file, lines: contents.split( /\r?\n/ ), lineOffset: 0, columnOffset: 0 };
+			}
+
+			let before = raw.slice( 0, index );
+			return {
+				file,
+				lines: raw.split( /\r?\n/ ),
+				lineOffset: countLines( before ),
+				columnOffset: index - ( before.lastIndexOf( "\n" ) + 1 )
+			};
+		}
+
+		try {
+			let { template } = edge.loader.resolve( filename );
+			return { file: filename, lines: template.split( /\r?\n/ ), lineOffset: 0, columnOffset: 0 };
+		} catch {
+			return null;
+		}
+	};
+
+	let getSource = ( filename ) => {
+		if ( !sources.has( filename ) ) {
+			sources.set( filename, readSource( filename ) );
+		}
+		return sources.get( filename );
+	};
+
+	// `column` is 1-based, and 0 when unknown
+	let locate = ( filename, line, column = 0 ) => {
+		let source = filename ? getSource( filename ) : null;
+		if ( !source ) {
+			return { file: filename, line, column };
+		}
+		return {
+			file: source.file,
+			line: line + source.lineOffset,
+			column: line === 1 && column ? column + source.columnOffset : column,
+			lines: source.lines
+		};
+	};
+
+	return {
+		locate,
+
+		// `src/index.edge:12:5`
+		describe( filename, line, column ) {
+			let location = locate( filename, line, column );
+			let description = describeLocation( { filename: location.file, line: location.line } );
+			return location.line && location.column ? `${ description }:${ location.column }` : description;
+		},
+
+		addPage( filename, contents ) {
+			pages.set( filename, contents );
+			sources.delete( filename );
+		},
+
+		// Forget file contents read so far, so edited includes are read again
+		reset() {
+			sources.clear();
+		}
+	};
+}
+
+// Up to two lines around `line`, with a caret under `column` when it is known
+function codeFrame( lines, line, column ) {
+	let first = Math.max( 1, line - 2 );
+	// A file ending in a newline has no last line to show
+	let count = lines.at( -1 ) === "" ? lines.length - 1 : lines.length;
+	let last = Math.min( count, line + 2 );
+	let width = String( last ).length;
+
+	let frame = [];
+	for ( let number = first; number <= last; number++ ) {
+		let text = lines[number - 1];
+		frame.push( `${ number === line ? ">" : " " } ${ String( number ).padStart( width ) } | ${ text }`.trimEnd() );
+		if ( number === line && column ) {
+			// Keep tabs so the caret lines up with the source
+			let indent = text.slice( 0, column - 1 ).replace( /[^\t]/g, " " );
+			frame.push( `  ${ " ".repeat( width ) } | ${ indent }^` );
+		}
+	}
+	return frame.join( "\n" );
+}
+
+// Eleventy renders a template again later when it throws this (through `cause`), so it is
+// left as it is
+export function isPrematureUse( error ) {
+	return error?.cause?.name === "TemplateContentPrematureUseError";
+}
+
+// Rewrite an EdgeError to point at the input file and line, with a code frame and the chain of
+// templates it was rendered through. The error is updated in place, so `cause` and its class
+// are kept. Other errors are returned as they are
+export function describeEdgeError( error, locator ) {
+	if ( !( error instanceof EdgeError ) || describedErrors.has( error ) || isPrematureUse( error ) ) {
+		return error;
+	}
+	describedErrors.add( error );
+
+	let { filename, line, col } = error;
+	let location = locator.locate( filename, line, col ? col + 1 : 0 );
+	let message = `${ error.message.trimEnd() } (${ locator.describe( filename, line, col ? col + 1 : 0 ) })`;
+
+	if ( location.lines?.[location.line - 1] !== undefined ) {
+		message += `\n\n${ codeFrame( location.lines, location.line, location.column ) }`;
+	}
+
+	// Recorded innermost first. A template that failed to compile never ran, so it is only known
+	// from the error's filename. Errors pointing at a component's caller (its props) already
+	// passed through it
+	let chain = [ ...( templateChains.get( error ) ?? [] ) ];
+	if ( filename && !chain.includes( filename ) ) {
+		chain.unshift( filename );
+	}
+	if ( chain.length > 1 ) {
+		let names = chain.reverse().map( name => describeLocation( { filename: locator.locate( name ).file } ) );
+		message += `\n\nRendered through:\n${ names.map( name => `  ${ name }` ).join( "\n" ) }`;
+	}
+
+	error.stack = error.stack
+		.replace( error.message, () => message )
+		.replace( `at anonymous (${ filename }:${ line }:${ col })`, () => `at ${ location.file }:${ location.line }:${ location.column }` );
+	error.message = message;
+	error.filename = location.file;
+	error.line = location.line;
+	error.col = location.column ? location.column - 1 : 0;
+	return error;
+}
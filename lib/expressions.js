@@ -0,0 +1,68 @@
+// Rewriting the JavaScript expressions of Edge templates, for the features that change what a
+// template does with a value (awaiting async calls, checking for undefined output) without
+// changing how it is written.
+
+const MUSTACHE_TYPES = new Set( [ "mustache", "s__mustache" ] );
+
+// The rewrites of `{{ }}` output per Edge instance, by name, in the order they were added
+const mustacheRewrites = new WeakMap();
+
+// The expression of `token` with text inserted by `getInserts( ast, jsArg )`, which returns
+// `{ at, text }` pairs of offsets in `jsArg`. Expressions that don't parse are returned
+// untouched for Edge to report
+export function rewriteExpression( parser, token, getInserts ) {
+	let { jsArg } = token.properties;
+	if ( !jsArg.trim() ) {
+		return jsArg;
+	}
+
+	let ast;
+	try {
+		ast = parser.utils.generateAST( jsArg, token.loc, token.filename );
+	} catch {
+		return jsArg;
+	}
+
+	// Insert from the end so earlier offsets stay valid. Callers never insert twice at an offset
+	let inserts = getInserts( ast, jsArg ).sort( ( a, b ) => b.at - a.at );
+	for ( let { at, text } of inserts ) {
+		jsArg = `${ jsArg.slice( 0, at ) }${ text }${ jsArg.slice( at ) }`;
+	}
+	return jsArg;
+}
+
+function rewriteTokens( parser, tokens, rewrites ) {
+	for ( let token of tokens ) {
+		if ( MUSTACHE_TYPES.has( token.type ) ) {
+			for ( let rewrite of rewrites ) {
+				token.properties.jsArg = rewrite( parser, token );
+			}
+		} else if ( token.children ) {
+			rewriteTokens( parser, token.children, rewrites );
+		}
+	}
+	return tokens;
+}
+
+// Rewrite the `{{ }}` and `{{{ }}}` expressions of templates compiled by `edge` from now on
+// with `rewrite( parser, token )`, which returns the new expression. Adding a rewrite under the
+// same name again (a config reload in --serve) replaces it and keeps its place in the order
+export function rewriteMustaches( edge, name, rewrite ) {
+	if ( mustacheRewrites.has( edge ) ) {
+		mustacheRewrites.get( edge ).set( name, rewrite );
+		return;
+	}
+
+	let rewrites = new Map( [ [ name, rewrite ] ] );
+	mustacheRewrites.set( edge, rewrites );
+
+	// Compiling a template or an include always passes its parser; other callers (dependency
+	// discovery) only read the tags
+	for ( let compiler of [ edge.compiler, edge.asyncCompiler ] ) {
+		let tokenizeRaw = compiler.tokenizeRaw.bind( compiler );
+		compiler.tokenizeRaw = ( contents, templatePath, parser ) => {
+			let tokens = tokenizeRaw( contents, templatePath, parser );
+			return parser ? rewriteTokens( parser, tokens, [ ...rewrites.values() ] ) : tokens;
+		};
+	}
+}
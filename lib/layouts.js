@@ -0,0 +1,75 @@
+import { compileTagBody, parseTagArguments } from "./tags.js";
+
+// Layout slots: Eleventy gives a layout the page as one `content` string, so a page can't add
+// to the layout's `<head>` or sidebar. With the `layoutSlots` option, a page's `@slot( 'name' )
+// ... @end` blocks (outside of components, where Edge doesn't allow them otherwise) are taken
+// out of its content and handed to each Edge layout in its chain as `$slots`, with `main`
+// holding the rest of the content, the way a component gets its slots.
+
+// Name of the per-render local that `@slot` blocks outside of components fill
+export const LAYOUT_SLOTS_KEY = "$layoutSlots";
+
+// Set on the plugin's `@slot` tag, holding Edge's own
+const OWN_SLOT_TAG = Symbol( "ownSlotTag" );
+
+let layoutSlotCounter = 0;
+
+// The slots filled by one render. Starts with the slots filled further down the layout chain,
+// which a layout replaces by filling a slot of the same name. `resolve( template, content )`
+// resolves async output in a slot's content
+export class LayoutSlots {
+	constructor( filled = {}, resolve = ( template, content ) => content ) {
+		this.filled = { ...filled };
+		this.resolve = resolve;
+	}
+
+	async fill( template, name, content ) {
+		this.filled[name] = await this.resolve( template, content );
+	}
+
+	// `$slots` for a layout: the filled slots, and `main` for the content it wraps
+	toSlots( content ) {
+		let slots = {};
+		for ( let [ name, value ] of Object.entries( this.filled ) ) {
+			slots[name] = async () => value;
+		}
+		slots.main = async () => content;
+		return slots;
+	}
+}
+
+// Edge's `@slot` tag, filling a layout slot when it is used outside of a component. Inside a
+// component the component tag compiles its slots itself and never calls this
+function createLayoutSlotTag( slotTag ) {
+	return {
+		...slotTag,
+		[OWN_SLOT_TAG]: slotTag,
+		compile( parser, buffer, token ) {
+			let awaitKeyword = parser.asyncMode ? "await " : "";
+			let contentVar = `layout_slot_${ ++layoutSlotCounter }`;
+			compileTagBody( parser, buffer, token, contentVar );
+
+			// The slot name, without Edge's slot props
+			let [ name ] = parseTagArguments( parser, token );
+
+			buffer.writeStatement(
+				`if (state.${ LAYOUT_SLOTS_KEY }) { ${ awaitKeyword }state.${ LAYOUT_SLOTS_KEY }.fill(template, ${ name }, ${ contentVar }); }`,
+				token.filename,
+				token.loc.start.line
+			);
+		}
+	};
+}
+
+// Let `@slot` blocks outside of components fill layout slots, or restore Edge's tag when
+// `enabled` is false (an instance passed as `eleventyLibraryOverride` outlives a config)
+export function useLayoutSlots( edge, enabled ) {
+	let tag = edge.tags.slot;
+	let ownTag = tag?.[OWN_SLOT_TAG];
+
+	if ( enabled && !ownTag && tag ) {
+		edge.registerTag( createLayoutSlotTag( tag ) );
+	} else if ( !enabled && ownTag ) {
+		edge.registerTag( ownTag );
+	}
+}
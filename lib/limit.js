@@ -0,0 +1,125 @@
+import path from "node:path";
+
+// Limits for async filters and shortcodes: how many may run at once across the build and how
+// long each call may take. Eleventy renders many pages in parallel, so without a limit a
+// listing page calling an image shortcode 500 times starts 500 jobs at the same time.
+
+// Name of the per-render local that compiled templates write their current location to
+export const LOCATION_KEY = "$edgeLocation";
+
+// The location of the statement a render is running
+export class RenderLocation {
+	constructor( filename ) {
+		this.filename = filename;
+		this.line = undefined;
+	}
+}
+
+// Edge instances that already record template locations
+const trackingInstances = new WeakSet();
+
+// Edge declares `$filename` at the top of each compiled template and writes `$lineNumber = N;`
+// on its own line before each statement. Also record the location in the render's location
+// object (when there is one), so a call can report where it was made. Raw template text is
+// always inside a string literal, so it can't match
+export function trackLocations( edge ) {
+	if ( trackingInstances.has( edge ) ) return;
+	trackingInstances.add( edge );
+
+	let record = line => `if (state.${ LOCATION_KEY }) { state.${ LOCATION_KEY }.filename = $filename; state.${ LOCATION_KEY }.line = ${ line }; }`;
+
+	edge.processor.process( "compiled", ( { compiled } ) => {
+		return compiled
+			.replace( /^let \$filename = .+;$/m, declaration => `${ declaration }\n${ record( 1 ) }` )
+			.replace( /^\$lineNumber = (\d+);$/gm, ( statement, line ) => `${ statement } ${ record( line ) }` );
+	} );
+}
+
+export function describeLocation( { filename, line } = {} ) {
+	if ( !filename ) return "an unknown template";
+	let name = path.isAbsolute( filename ) ? path.relative( process.cwd(), filename ) : filename;
+	return line ? `${ name }:${ line }` : name;
+}
+
+function isThenable( value ) {
+	return value && typeof value.then === "function";
+}
+
+// Returns `run( name, callback, location, call )`, which calls `call()` (a call to `callback`)
+// within the limits and returns its result. `concurrency` caps the calls running at once. A
+// function is only queued once it returned a Promise before, so sync filters never turn into
+// Promises (Eleventy wraps filters and shortcodes, so an `async` function can't be told apart). `timeout` rejects
+// calls that take longer, in milliseconds. `describe( location )` names a call's location in
+// the timeout error
+export function createCallLimiter( { concurrency = Infinity, timeout = 0, describe = describeLocation } = {} ) {
+	let running = 0;
+	let queue = [];
+	let asyncFunctions = new WeakSet();
+
+	let drain = () => {
+		while ( queue.length && running < concurrency ) {
+			queue.shift()();
+		}
+	};
+
+	let start = ( name, location, call ) => {
+		let result = call();
+		if ( !isThenable( result ) ) {
+			return result;
+		}
+
+		running++;
+		let released = false;
+		let done = () => {
+			if ( !released ) {
+				released = true;
+				running--;
+				drain();
+			}
+		};
+
+		let settled = Promise.resolve( result ).finally( done );
+		if ( !timeout ) {
+			return settled;
+		}
+
+		// A call that never settles keeps its place in the queue until it times out
+		let timer;
+		return Promise.race( [
+			settled,
+			new Promise( ( resolve, reject ) => {
+				timer = setTimeout( () => {
+					done();
+					reject( new Error( `Edge: ${ name }() in ${ describe( location ) } did not settle within ${ timeout }ms` ) );
+				}, timeout );
+			} )
+		] ).finally( () => clearTimeout( timer ) );
+	};
+
+	return function run( name, callback, location, call ) {
+		if ( concurrency === Infinity && !timeout ) {
+			return call();
+		}
+
+		// Snapshot the location: the template keeps rendering while the call runs
+		location = { ...location };
+
+		if ( asyncFunctions.has( callback ) && running >= concurrency ) {
+			return new Promise( ( resolve, reject ) => {
+				queue.push( () => {
+					try {
+						resolve( start( name, location, call ) );
+					} catch ( error ) {
+						reject( error );
+					}
+				} );
+			} );
+		}
+
+		let result = start( name, location, call );
+		if ( isThenable( result ) ) {
+			asyncFunctions.add( callback );
+		}
+		return result;
+	};
+}
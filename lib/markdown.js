@@ -0,0 +1,33 @@
+// Markdown in Edge templates: `@markdown ... @end` and `markdown( text )` render with the
+// markdown library Eleventy renders .md files with, including `setLibrary()`,
+// `amendLibrary()` and the syntax highlighter, so prose in a .edge page matches a .md page.
+
+// Remove the indentation shared by every non-blank line, and blank lines at the start and end.
+// A block indented to match the markup around it in a component would otherwise start with
+// whitespace Markdown treats as significant
+export function dedent( text ) {
+	let lines = String( text ).replace( /\r\n?/g, "\n" ).split( "\n" );
+	while ( lines.length && !lines[0].trim() ) lines.shift();
+	while ( lines.length && !lines.at( -1 ).trim() ) lines.pop();
+
+	let indent = Math.min( ...lines.filter( line => line.trim() ).map( line => line.match( /^[ \t]*/ )[0].length ) );
+	return lines.map( line => line.slice( indent ) ).join( "\n" );
+}
+
+// The markdown-it instance (or the library from `setLibrary( "md", … )`) of Eleventy's Markdown
+// engine. Read from the engine, the way Eleventy's RenderPlugin does, so the library has
+// Eleventy's changes applied
+export async function loadMarkdownLibrary( extensionMap ) {
+	let engine = await extensionMap.engineManager.getEngine( "md", extensionMap );
+	return engine.getEngineLib();
+}
+
+// Render `text` with `library`. `inline: true` leaves out the wrapping paragraph
+export function renderMarkdown( library, text, { inline = false } = {} ) {
+	if ( !library ) {
+		throw new Error( "Edge: Markdown can only be rendered while Eleventy is building." );
+	}
+
+	let source = dedent( text ?? "" );
+	return inline ? library.renderInline( source ) : library.render( source );
+}
@@ -0,0 +1,73 @@
+import { existsSync } from "node:fs";
+import path from "node:path";
+
+// Loaders whose errors already list the searched paths
+const describedLoaders = new WeakSet();
+
+function listMounted( loader ) {
+	return Object.entries( loader.mounted )
+		.map( ( [ diskName, directory ] ) => `  ${ diskName }: ${ directory }` )
+		.join( "\n" ) || "  (none)";
+}
+
+// Name a template the way it is written in templates: `nav`, `ui::nav`
+function getTemplateName( loader, absPath ) {
+	for ( let [ diskName, directory ] of Object.entries( loader.mounted ) ) {
+		let relative = path.relative( directory, absPath );
+		if ( !relative.startsWith( ".." ) && !path.isAbsolute( relative ) ) {
+			let name = relative.split( path.sep ).join( "/" ).replace( /\.edge$/, "" );
+			return diskName === "default" ? name : `${ diskName }::${ name }`;
+		}
+	}
+	return absPath;
+}
+
+// Edge reports a missing template with only the absolute path it tried, and an unknown disk
+// with only its name. Rewrite both errors to show the template name, the file that was
+// searched and every mounted disk, so a typo in a disk name or a wrong directory is obvious
+function describeLoaderErrors( edge ) {
+	let { loader } = edge;
+	if ( describedLoaders.has( loader ) ) return;
+	describedLoaders.add( loader );
+
+	let makePath = loader.makePath.bind( loader );
+	let resolve = loader.resolve.bind( loader );
+
+	loader.makePath = ( templatePath ) => {
+		try {
+			return makePath( templatePath );
+		} catch ( error ) {
+			if ( !/namespace is not mounted/.test( error.message ) ) throw error;
+			let [ diskName ] = templatePath.split( "::" );
+			throw new Error( `Cannot find Edge template "${ templatePath }": the "${ diskName }" disk is not mounted.\nMounted disks:\n${ listMounted( loader ) }`, { cause: error } );
+		}
+	};
+
+	loader.resolve = ( templatePath ) => {
+		try {
+			return resolve( templatePath );
+		} catch ( error ) {
+			if ( !/^Cannot resolve "/.test( error.message ) ) throw error;
+			let absPath = loader.makePath( templatePath );
+			throw new Error( `Cannot find Edge template "${ getTemplateName( loader, absPath ) }".\nSearched:\n  ${ absPath }\nMounted disks:\n${ listMounted( loader ) }`, { cause: error } );
+		}
+	};
+}
+
+// Mount each `{ diskName: directory }` entry as an Edge disk, so templates can use
+// `@include( 'ui::nav' )`. Directories are resolved from the current working directory.
+// Returns the absolute directories that were mounted
+export function mountDirectories( edge, mounts = {} ) {
+	describeLoaderErrors( edge );
+
+	let directories = [];
+	for ( let [ diskName, directory ] of Object.entries( mounts ) ) {
+		let absDirectory = path.resolve( directory );
+		if ( !existsSync( absDirectory ) ) {
+			throw new Error( `Edge mount "${ diskName }" points to a directory that does not exist: ${ absDirectory }` );
+		}
+		edge.mount( diskName, absDirectory );
+		directories.push( absDirectory );
+	}
+	return directories;
+}
@@ -0,0 +1,77 @@
+// Error pages for --serve: a page that fails to render is replaced by a page describing the
+// error, so the browser shows what went wrong instead of the last successful build. The next
+// successful build writes the page again.
+
+// Starts every error page, so layouts can pass an error page through instead of wrapping it
+export const ERROR_PAGE_MARKER = "<!-- eleventy-plugin-edgejs: error page -->";
+
+// The error page within `content`, such as a page a layout in another template language
+// wrapped in its markup, or undefined when there is none
+export function findErrorPage( content ) {
+	let start = typeof content === "string" ? content.indexOf( ERROR_PAGE_MARKER ) : -1;
+	if ( start === -1 ) return undefined;
+
+	let end = content.indexOf( "</html>", start );
+	return end === -1 ? content.slice( start ) : `${ content.slice( start, end + "</html>".length ) }\n`;
+}
+
+function escapeHtml( value ) {
+	return String( value )
+		.replace( /&/g, "&amp;" )
+		.replace( /</g, "&lt;" )
+		.replace( />/g, "&gt;" )
+		.replace( /"/g, "&quot;" );
+}
+
+// Newlines are written as character references, keeping the page free of blank lines so
+// Markdown passes it through as HTML when Edge preprocesses .md files
+function preformatted( text ) {
+	return `<pre>${ escapeHtml( text ).replace( /\n/g, "&#10;" ) }</pre>`;
+}
+
+// The errors a render error wraps: Eleventy's `originalError`, then `cause`
+function getCauses( error ) {
+	let causes = [];
+	for ( let current = error.originalError ?? error.cause; current; current = current.originalError ?? current.cause ) {
+		causes.push( current );
+	}
+	return causes;
+}
+
+// An HTML document describing `error`. Edge errors already carry the file, line, code frame and
+// the templates they were rendered through in their message (see errors.js)
+export function renderErrorPage( error, inputPath ) {
+	let [ summary, ...details ] = String( error?.message ?? error ).split( "\n" );
+	let causes = error && typeof error === "object" ? getCauses( error ) : [];
+
+	let sections = [
+		`<h1>${ escapeHtml( summary ) }</h1>`,
+		`<p>Edge could not render <code>${ escapeHtml( inputPath ) }</code>. Fix the template and save to rebuild.</p>`
+	];
+	if ( details.join( "" ).trim() ) {
+		sections.push( preformatted( details.join( "\n" ).replace( /^\n+|\s+$/g, "" ) ) );
+	}
+	for ( let cause of causes ) {
+		sections.push( `<h2>Caused by</h2>\n${ preformatted( cause.stack ?? cause.message ?? cause ) }` );
+	}
+
+	return `${ ERROR_PAGE_MARKER }
+<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Edge error: ${ escapeHtml( summary ) }</title>
+<style>
+body { margin: 0; padding: 2rem; font: 16px/1.5 system-ui, sans-serif; background: #1e1e24; color: #f4f4f5; }
+h1 { margin-top: 0; font-size: 1.25rem; color: #ff8a8a; }
+h2 { font-size: 1rem; color: #a1a1aa; }
+pre { padding: 1rem; overflow: auto; background: #111114; border-left: 4px solid #ff8a8a; font: 14px/1.5 ui-monospace, monospace; }
+code { font-family: ui-monospace, monospace; }
+</style>
+</head>
+<body>
+${ sections.join( "\n" ) }
+</body>
+</html>
+`;
+}
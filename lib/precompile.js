@@ -0,0 +1,147 @@
+import { createHash } from "node:crypto";
+import { mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import path from "node:path";
+
+import { getAwaitedNames, getOwnCompile } from "./await.js";
+import { setCompileSource } from "./compile.js";
+
+// Persistent cache of compiled Edge templates, so cold builds (CI, fresh checkouts) can skip
+// parsing templates that have not changed since the last build. Entries are keyed by a hash
+// of everything that affects the compiled output, so stale entries are never read: they are
+// simply no longer looked up once a template, a tag or the Edge/plugin version changes.
+
+const AsyncFunction = Object.getPrototypeOf( async function () {} ).constructor;
+
+function readVersion( packageUrl ) {
+	try {
+		return JSON.parse( readFileSync( packageUrl, "utf8" ) ).version;
+	} catch {
+		return "unknown";
+	}
+}
+
+const PLUGIN_VERSION = readVersion( new URL( "../package.json", import.meta.url ) );
+const EDGE_VERSION = readVersion( new URL( "../package.json", import.meta.resolve( "edge.js" ) ) );
+
+// One reset function per Edge instance, so an instance passed as `eleventyLibraryOverride`
+// is only wrapped once across config reloads in --serve
+const instances = new WeakMap();
+
+// Recreate a compiled template from the source of the function Edge built. Functions made with
+// `new Function()` stringify as `function anonymous(a,b\n) {\nbody\n}`
+function serialize( fn ) {
+	let source = fn.toString();
+	let paramsStart = source.indexOf( "(" ) + 1;
+	let paramsEnd = source.indexOf( "\n) {\n" );
+	return JSON.stringify( {
+		params: source.slice( paramsStart, paramsEnd ).split( "," ).filter( Boolean ),
+		body: source.slice( paramsEnd + 5, -2 )
+	} );
+}
+
+function deserialize( contents, isAsync ) {
+	let { params, body } = JSON.parse( contents );
+	return isAsync ? new AsyncFunction( ...params, body ) : new Function( ...params, body );
+}
+
+// Everything besides the template itself that changes what Edge generates: versions,
+// registered tags, processor hooks (such as the location tracking `asyncTimeout` adds), the
+// global names (the strict output check), the functions whose calls are awaited (none without
+// `autoAwait`) and the components that can be used as tags. Computed once per build
+function getFingerprint( edge, hooks ) {
+	let hash = createHash( "sha256" ).update( `${ EDGE_VERSION }\0${ PLUGIN_VERSION }` );
+	for ( let hook of hooks ) {
+		hash.update( `\0${ hook }` );
+	}
+	for ( let [ name, tag ] of Object.entries( edge.tags ).sort( ( [ a ], [ b ] ) => a.localeCompare( b ) ) ) {
+		hash.update( `\0${ name }\0${ tag.block }\0${ getOwnCompile( tag ) }` );
+	}
+	hash.update( `\0${ Object.keys( edge.globals ).sort().join( "," ) }` );
+	hash.update( `\0${ [ ...getAwaitedNames( edge ) ].sort().join( "," ) }` );
+	for ( let { components } of edge.loader.listComponents() ) {
+		for ( let { componentName } of components ) {
+			hash.update( `\0${ componentName }` );
+		}
+	}
+	return hash.digest( "hex" );
+}
+
+// Keep the templates both Edge compilers compile in `directory`, and read them from there in
+// later builds. Returns a function that resets the fingerprint, to be called when tags or components may have changed
+export function precompileToDisk( edge, directory ) {
+	if ( instances.has( edge ) ) {
+		return instances.get( edge );
+	}
+
+	let fingerprint;
+	let created = false;
+
+	// Edge keeps its processor hooks private, so record the ones added from now on
+	let hooks = [];
+	let process = edge.processor.process.bind( edge.processor );
+	edge.processor.process = ( event, handler ) => {
+		hooks.push( `${ event }\0${ handler }` );
+		fingerprint = undefined;
+		return process( event, handler );
+	};
+
+	let cached = ( compiler, kind, templatePath, localVariables, source, compile ) => {
+		// Layouts are merged into the template in compat mode, so the source alone is not enough
+		if ( compiler.compat ) {
+			return compile();
+		}
+
+		fingerprint ??= getFingerprint( edge, hooks );
+		let key = createHash( "sha256" )
+			.update( [ fingerprint, kind, compiler.async, templatePath, localVariables ?? "", source ].join( "\0" ) )
+			.digest( "hex" );
+		let file = path.join( directory, `${ key }.json` );
+
+		try {
+			return deserialize( readFileSync( file, "utf8" ), compiler.async );
+		} catch {
+			// Not cached yet (or unreadable): compile and store below
+		}
+
+		let fn = compile();
+		try {
+			if ( !created ) {
+				mkdirSync( directory, { recursive: true } );
+				created = true;
+			}
+			writeFileSync( file, serialize( fn ) );
+		} catch {
+			// The cache is an optimization: a read-only or full disk must not fail the build
+		}
+		return fn;
+	};
+
+	setCompileSource( edge, {
+		compile( compiler, templatePath, localVariables, compile ) {
+			let absPath = edge.loader.makePath( templatePath );
+			let inMemory = localVariables ? null : compiler.cacheManager.get( absPath );
+			if ( inMemory ) {
+				return inMemory;
+			}
+
+			let { template } = edge.loader.resolve( absPath );
+			let fn = cached( compiler, "file", absPath, localVariables, template, () => compile( absPath, localVariables ) );
+
+			// Keep Edge's in-memory cache behaviour for templates read from disk
+			if ( !localVariables ) {
+				compiler.cacheManager.set( absPath, fn );
+			}
+			return fn;
+		},
+
+		compileRaw( compiler, contents, templatePath, compileRaw ) {
+			return cached( compiler, "raw", templatePath, undefined, contents, () => compileRaw( contents, templatePath ) );
+		}
+	} );
+
+	let reset = () => {
+		fingerprint = undefined;
+	};
+	instances.set( edge, reset );
+	return reset;
+}
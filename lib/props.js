@@ -0,0 +1,181 @@
+import { EdgeError } from "edge.js";
+
+import { describeLocation } from "./limit.js";
+
+// Props contracts: a component can declare the props it takes in a comment at the top of its
+// file. Defaults are set before the component renders, and a missing required prop, a prop of
+// the wrong type or an unknown prop (such as a misspelled name) fails the build at the line
+// that used the component.
+//
+//   {{-- @props
+//     text: string
+//     type: string = "primary"
+//     icon?: string
+//     count: number | string = 0
+//   --}}
+//
+// A prop is required unless it is marked with `?` or has a default. A `...` line allows props
+// that are not declared.
+
+// Name of the global that components with a contract call before rendering
+export const PROPS_KEY = "$edgeProps";
+
+const TYPES = new Set( [ "any", "array", "boolean", "function", "null", "number", "object", "string" ] );
+const HEADER = /^(\s*)\{\{--\s*@props\b([\s\S]*?)--\}\}/;
+const HEADER_END = /--\}\}\r?\n/;
+const DECLARATION = /^([A-Za-z_$][\w$]*)(\?)?\s*:\s*([A-Za-z]+(?:\s*\|\s*[A-Za-z]+)*)\s*(?:=\s*(.+))?$/;
+
+// Edge instances that already check contracts
+const checkingInstances = new WeakSet();
+
+// States a template has started rendering with. A component renders with a state of its own,
+// while `@include` passes on the state of the template that includes it
+const renderedStates = new WeakSet();
+
+function typeOf( value ) {
+	if ( value === null ) return "null";
+	if ( Array.isArray( value ) ) return "array";
+	return typeof value;
+}
+
+// The props declared at the top of `raw`: `{ props: [ { name, types, required, defaultValue } ],
+// allowOthers }`, with each default as its source, or undefined when there is no declaration
+export function parseProps( raw, filename ) {
+	let header = HEADER.exec( raw );
+	if ( !header ) return undefined;
+
+	let props = [];
+	let allowOthers = false;
+	let firstLine = header[1].split( "\n" ).length;
+	for ( let [ index, text ] of header[2].split( "\n" ).entries() ) {
+		let declaration = text.trim();
+		if ( !declaration ) continue;
+		if ( declaration === "..." ) {
+			allowOthers = true;
+			continue;
+		}
+
+		let fail = ( message ) => {
+			throw new EdgeError( message, "E_INVALID_PROPS_DECLARATION", {
+				filename,
+				line: firstLine + index,
+				col: text.length - text.trimStart().length
+			} );
+		};
+
+		let match = DECLARATION.exec( declaration );
+		if ( !match ) {
+			fail( `Invalid prop declaration "${ declaration }". Use "name: type", "name?: type" or "name: type = default".` );
+		}
+
+		let [ , name, optional, typeList, defaultValue ] = match;
+		let types = typeList.split( "|" ).map( type => type.trim() );
+		for ( let type of types ) {
+			if ( !TYPES.has( type ) ) {
+				fail( `Unknown type "${ type }" for prop "${ name }". Use ${ [ ...TYPES ].join( ", " ) }.` );
+			}
+		}
+		if ( defaultValue !== undefined ) {
+			try {
+				new Function( `return (${ defaultValue });` );
+			} catch {
+				fail( `Invalid default value for prop "${ name }": ${ defaultValue }` );
+			}
+		}
+
+		props.push( { name, types, required: !optional && defaultValue === undefined, defaultValue } );
+	}
+
+	return { props, allowOthers };
+}
+
+// The contract declared at the top of `raw`, as the source of a JavaScript object, or
+// undefined when there is none
+export function parseContract( raw, filename ) {
+	let declared = parseProps( raw, filename );
+	if ( !declared ) return undefined;
+
+	let props = declared.props.map( ( { name, types, required, defaultValue } ) => {
+		let fallback = defaultValue === undefined ? "" : `, defaultValue: () => (${ defaultValue })`;
+		return `{ name: ${ JSON.stringify( name ) }, types: ${ JSON.stringify( types ) }, required: ${ required }${ fallback } }`;
+	} );
+	return `{ props: [${ props.join( ", " ) }], allowOthers: ${ declared.allowOthers } }`;
+}
+
+// Called as every template starts rendering. When the template declares a `contract` and was
+// rendered as a component, apply its defaults to the state and check its props. Errors point
+// at the template and line that used the component
+function checkProps( state, filename, contract ) {
+	let isOwnState = !renderedStates.has( state );
+	renderedStates.add( state );
+	// Only components have a caller; pages and includes render as they are
+	if ( !contract || !isOwnState || !state.$caller ) return;
+
+	let { props, allowOthers } = contract;
+	let caller = state.$caller;
+	let given = state.$props?.all?.() ?? {};
+	let component = describeLocation( { filename } );
+	let fail = ( message ) => {
+		throw new EdgeError( `${ message } (component ${ component })`, "E_INVALID_PROP", {
+			filename: caller?.filename,
+			line: caller?.line,
+			col: 0
+		} );
+	};
+
+	// Only the props given count: template data shared with components doesn't fill a prop
+	for ( let { name, types, required, defaultValue } of props ) {
+		if ( given[name] === undefined ) {
+			if ( required ) {
+				fail( `Missing required prop "${ name }"` );
+			}
+			if ( defaultValue ) {
+				state[name] = defaultValue();
+			}
+			continue;
+		}
+
+		let type = typeOf( given[name] );
+		if ( !types.includes( "any" ) && !types.includes( type ) ) {
+			fail( `Prop "${ name }" must be ${ types.join( " or " ) }, got ${ type }` );
+		}
+	}
+
+	if ( !allowOthers ) {
+		let names = new Set( props.map( prop => prop.name ) );
+		for ( let name of Object.keys( given ) ) {
+			if ( !names.has( name ) ) {
+				fail( `Unknown prop "${ name }"` );
+			}
+		}
+	}
+}
+
+// Check the props of components rendered by `edge` that declare a contract
+export function checkComponentProps( edge ) {
+	if ( checkingInstances.has( edge ) ) return;
+	checkingInstances.add( edge );
+
+	edge.global( PROPS_KEY, checkProps );
+
+	// Tokenizing reads the raw template right before it is compiled
+	let contracts = new Map();
+	edge.processor.process( "raw", ( { raw, path } ) => {
+		let contract = parseContract( raw, path );
+		if ( !contract ) {
+			contracts.delete( path );
+			return raw;
+		}
+
+		// End the header comment on the next line, so the line break after it is not output and
+		// the lines keep their numbers
+		contracts.set( path, contract );
+		return raw.replace( HEADER_END, "\n--}}" );
+	} );
+
+	// Every template records its state, so an included template can tell it isn't a component
+	edge.processor.process( "compiled", ( { compiled, path } ) => {
+		let contract = contracts.get( path ) ?? "undefined";
+		return compiled.replace( /^let \$filename = .+;$/m, declaration => `${ declaration }\nstate.${ PROPS_KEY }(state, $filename, ${ contract });` );
+	} );
+}
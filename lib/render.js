@@ -0,0 +1,119 @@
+import { parseTagArguments } from "./tags.js";
+
+// Eleventy's RenderPlugin in Edge templates: `@renderFile( 'partial.njk', data )` and
+// `@renderTemplate( 'liquid', data ) ... @end`, so pages written in another language can be
+// reused while a site moves to Edge. The tags call the functions the RenderPlugin registers,
+// and are only available when it has been added. (Rendering Edge from other languages needs
+// nothing extra: the RenderPlugin renders `edge` through the plugin's Eleventy extension.)
+
+// Name of the per-render local holding the RenderPlugin functions bound to the current page
+export const RENDER_PLUGIN_KEY = "$renderPlugin";
+
+const RENDER_PLUGIN_TAG = Symbol( "renderPluginTag" );
+
+// Edge instances whose templates already have their render blocks captured
+const capturingInstances = new WeakSet();
+
+// The RenderPlugin's `renderFile` shortcode and `renderTemplate` function, when they exist
+export function getRenderPluginFunctions( eleventyConfig ) {
+	let functions = {};
+	let renderFile = eleventyConfig.getShortcodes().renderFile;
+	let renderTemplate = eleventyConfig.javascript?.functions?.renderTemplate;
+	if ( renderFile ) functions.renderFile = renderFile;
+	if ( renderTemplate ) functions.renderTemplate = renderTemplate;
+	return functions;
+}
+
+// `@name( ...args )`, writing the result of the RenderPlugin function unescaped
+function createRenderPluginTag( name ) {
+	return {
+		block: false,
+		seekable: true,
+		tagName: name,
+		[RENDER_PLUGIN_TAG]: true,
+		compile( parser, buffer, token ) {
+			let awaitKeyword = parser.asyncMode ? "await " : "";
+			let args = parseTagArguments( parser, token );
+
+			buffer.outputExpression(
+				`${ awaitKeyword }state.${ RENDER_PLUGIN_KEY }[${ JSON.stringify( name ) }](${ args.join( ", " ) })`,
+				token.filename,
+				token.loc.start.line,
+				false
+			);
+		}
+	};
+}
+
+// Register a tag for each RenderPlugin function. A tag of the same name registered by someone
+// else is left alone, and tags whose function is gone are removed
+export function bridgeRenderPluginTags( edge, functions ) {
+	for ( let name of [ "renderFile", "renderTemplate" ] ) {
+		let tag = edge.tags[name];
+		if ( tag && !tag[RENDER_PLUGIN_TAG] ) continue;
+
+		if ( name in functions ) {
+			edge.registerTag( createRenderPluginTag( name ) );
+		} else if ( tag ) {
+			delete edge.tags[name];
+		}
+	}
+	captureRenderTemplateBodies( edge );
+}
+
+// Index of the `)` closing the `(` at `start`, counting parentheses the way Edge's lexer does
+function findClosingParen( raw, start ) {
+	let depth = 0;
+	for ( let index = start; index < raw.length; index++ ) {
+		if ( raw[index] === "(" ) depth++;
+		if ( raw[index] === ")" && --depth === 0 ) return index;
+	}
+	return -1;
+}
+
+const OPENING_TAG = /^([ \t]*)@renderTemplate\(/gm;
+const CLOSING_TAG = /^[ \t]*@end[ \t]*$/m;
+
+// Move the body of each `@renderTemplate( ... ) ... @end` block into the tag as a string, as
+// it is in another language and must reach the RenderPlugin as written. The body's lines are
+// replaced by an Edge comment, so the lines after the block keep their numbers
+export function moveRenderTemplateBodies( raw ) {
+	let output = "";
+	let position = 0;
+
+	for ( let match of raw.matchAll( OPENING_TAG ) ) {
+		if ( match.index < position ) continue;
+
+		let open = match.index + match[0].length - 1;
+		let close = findClosingParen( raw, open );
+		let lineEnd = raw.indexOf( "\n", close );
+		if ( close === -1 || lineEnd === -1 || raw.slice( close + 1, lineEnd ).trim() ) continue;
+
+		let rest = raw.slice( lineEnd + 1 );
+		let end = CLOSING_TAG.exec( rest );
+		if ( !end ) continue;
+
+		let body = rest.slice( 0, end.index ).replace( /\r?\n$/, "" );
+		// Edge's lexer counts parentheses in strings too
+		let literal = JSON.stringify( body ).replace( /\(/g, "\\u0028" ).replace( /\)/g, "\\u0029" );
+		let args = raw.slice( open + 1, close );
+		let lines = rest.slice( 0, end.index ).split( "\n" ).length - 1;
+
+		output += raw.slice( position, match.index );
+		// Arguments keep their line breaks
+		output += `${ match[1] }@renderTemplate(${ literal }${ args.trim() ? `,${ args }` : "" })\n`;
+		output += `{{--${ "\n".repeat( lines ) }--}}`;
+		position = lineEnd + 1 + end.index + end[0].length;
+	}
+
+	return output + raw.slice( position );
+}
+
+function captureRenderTemplateBodies( edge ) {
+	if ( capturingInstances.has( edge ) ) return;
+	capturingInstances.add( edge );
+
+	edge.processor.process( "raw", ( { raw } ) => {
+		return edge.tags.renderTemplate?.[RENDER_PLUGIN_TAG] ? moveRenderTemplateBodies( raw ) : raw;
+	} );
+}
@@ -0,0 +1,131 @@
+import { rewriteExpression, rewriteMustaches } from "./expressions.js";
+
+// Strict output: report `{{ }}` values that are undefined, so a typo such as `{{ tittle }}` is
+// caught instead of rendering an empty string. Values read with explicit optional access are
+// allowed to be missing: `{{ page?.excerpt }}`, `{{ subtitle ?? "" }}`, `{{ title || "Home" }}`.
+// Tag expressions are not checked, as `@if( subtitle )` is how templates test for a value.
+
+// Name of the global that checked expressions call: `$edgeStrict( value, "source", $filename, line, column )`
+export const STRICT_KEY = "$edgeStrict";
+
+const DEFAULT_OPERATORS = new Set( [ "??", "||", "&&" ] );
+const FUNCTION_TYPES = new Set( [ "ArrowFunctionExpression", "FunctionExpression" ] );
+
+// The report function per Edge instance, read when a template renders, so compilers wrapped by
+// an earlier config in --serve use the current one
+const reporters = new WeakMap();
+
+// Lookups in `node` whose value should be checked. `optional` is true where the expression is
+// allowed to be undefined: optional chains, the left side of `??`/`||`/`&&`, conditions, `typeof`
+// and the objects of member expressions (a missing object throws a TypeError on its own)
+function findLookups( node, lookups = [], optional = false ) {
+	if ( !node || typeof node.type !== "string" ) {
+		return lookups;
+	}
+
+	switch ( node.type ) {
+		case "Identifier":
+			if ( !optional && node.name !== "undefined" ) {
+				lookups.push( node );
+			}
+			return lookups;
+
+		case "MemberExpression":
+			if ( !optional && !node.optional ) {
+				lookups.push( node );
+			}
+			findLookups( node.object, lookups, true );
+			if ( node.computed ) {
+				findLookups( node.property, lookups );
+			}
+			return lookups;
+
+		case "ChainExpression":
+			return findLookups( node.expression, lookups, true );
+
+		case "CallExpression":
+		case "NewExpression":
+			findLookups( node.callee, lookups, true );
+			for ( let argument of node.arguments ) {
+				findLookups( argument, lookups );
+			}
+			return lookups;
+
+		case "LogicalExpression":
+			findLookups( node.left, lookups, optional || DEFAULT_OPERATORS.has( node.operator ) );
+			return findLookups( node.right, lookups, optional );
+
+		case "ConditionalExpression":
+			findLookups( node.test, lookups, true );
+			findLookups( node.consequent, lookups, optional );
+			return findLookups( node.alternate, lookups, optional );
+
+		case "UnaryExpression":
+			return findLookups( node.argument, lookups, node.operator === "typeof" || node.operator === "!" );
+
+		case "AwaitExpression":
+			return findLookups( node.argument, lookups, optional );
+
+		case "Property":
+			// `{ title }` has no room for a check
+			if ( node.computed ) findLookups( node.key, lookups );
+			return node.shorthand ? lookups : findLookups( node.value, lookups );
+
+		case "TaggedTemplateExpression":
+			return findLookups( node.quasi, lookups );
+
+		case "AssignmentExpression":
+			return findLookups( node.right, lookups );
+
+		case "UpdateExpression":
+			return lookups;
+	}
+
+	// Callbacks such as `items.filter( item => item.draft )` test values on purpose
+	if ( FUNCTION_TYPES.has( node.type ) ) {
+		return lookups;
+	}
+
+	for ( let [ key, value ] of Object.entries( node ) ) {
+		if ( key === "loc" || !value || typeof value !== "object" ) continue;
+		for ( let child of Array.isArray( value ) ? value : [ value ] ) {
+			findLookups( child, lookups );
+		}
+	}
+	return lookups;
+}
+
+// Rewrite a mustache expression so every lookup goes through the strict check
+export function checkLookups( parser, token ) {
+	return rewriteExpression( parser, token, ( ast, jsArg ) => findLookups( ast ).flatMap( ( node ) => {
+		let { line, column } = node.loc.start;
+		let source = JSON.stringify( jsArg.slice( node.start, node.end ) );
+		return [
+			{ at: node.start, text: `${ STRICT_KEY }(` },
+			{ at: node.end, text: `, ${ source }, $filename, ${ line }, ${ column + 1 })` }
+		];
+	} ) );
+}
+
+// Check the `{{ }}` output of templates compiled by `edge` from now on. `report( { source,
+// filename, line, column } )` is called for each undefined value, with the expression as
+// written and its location in the compiled source. Pass no function to turn the checks off
+export function strictOutput( edge, report ) {
+	if ( !report ) {
+		reporters.delete( edge );
+		delete edge.globals[STRICT_KEY];
+		return;
+	}
+
+	reporters.set( edge, report );
+	edge.global( STRICT_KEY, ( value, source, filename, line, column ) => {
+		if ( value === undefined ) {
+			reporters.get( edge )?.( { source, filename, line, column } );
+		}
+		return value;
+	} );
+
+	rewriteMustaches( edge, "strict", ( parser, token ) => {
+		return reporters.has( edge ) ? checkLookups( parser, token ) : token.properties.jsArg;
+	} );
+}
@@ -0,0 +1,35 @@
+// Building blocks for the plugin's own Edge tags.
+
+// The arguments of `@name( a, b )` as JavaScript source, with template variables resolved the
+// way Edge resolves them in its own tags. Empty when the tag has no arguments
+export function parseTagArguments( parser, token ) {
+	if ( !token.properties.jsArg.trim() ) {
+		return [];
+	}
+
+	let parsed = parser.utils.transformAst(
+		parser.utils.generateAST( token.properties.jsArg, token.loc, token.filename ),
+		token.filename,
+		parser
+	);
+	let expressions = parsed.type === "SequenceExpression" ? parsed.expressions : [ parsed ];
+	return expressions.map( expression => parser.utils.stringify( expression ) );
+}
+
+// Compile the body of a block tag into its own output variable, `outputVar`, so the tag can
+// pass it on (the same way Edge's @pushTo tag does)
+export function compileTagBody( parser, buffer, token, outputVar ) {
+	let bodyBuffer = buffer.create( token.filename, { outputVar } );
+
+	for ( let child of token.children ) {
+		// Ignore the newline directly after the opening tag, like component slots do
+		if ( bodyBuffer.size === 0 && child.type === "newline" ) continue;
+		parser.processToken( child, bodyBuffer );
+	}
+
+	buffer.writeStatement(
+		bodyBuffer.disableFileAndLineVariables().disableReturnStatement().disableTryCatchBlock().flush(),
+		token.filename,
+		token.loc.start.line
+	);
+}
@@ -0,0 +1,50 @@
+// In-memory templates registered through the plugin, per Edge instance, so an instance passed
+// as `eleventyLibraryOverride` can be updated when the config is reloaded in --serve
+const registries = new WeakMap();
+
+function getRegistry( edge ) {
+	if ( !registries.has( edge ) ) {
+		registries.set( edge, new Map() );
+	}
+	return registries.get( edge );
+}
+
+// Register an in-memory template that resolves through @include and @component like a file in
+// _includes. Registering a name again replaces its source. Returns true when a previously
+// registered source was replaced, so compiled copies of it can be evicted
+export function registerTemplate( edge, name, source ) {
+	if ( typeof name !== "string" || name === "" ) {
+		throw new Error( "Edge template names must be non-empty strings." );
+	}
+	if ( typeof source !== "string" ) {
+		throw new Error( `Edge template "${ name }" must be a string of Edge source.` );
+	}
+
+	let registry = getRegistry( edge );
+	if ( registry.get( name ) === source ) {
+		return false;
+	}
+
+	let replaced = registry.has( name );
+	if ( replaced ) {
+		edge.removeTemplate( name );
+	}
+	edge.registerTemplate( name, { template: source } );
+	registry.set( name, source );
+	return replaced;
+}
+
+// Remove templates registered by an earlier config that the current config no longer
+// registers. Returns the removed names
+export function removeTemplatesExcept( edge, names ) {
+	let registry = getRegistry( edge );
+	let removed = [];
+	for ( let name of registry.keys() ) {
+		if ( !names.has( name ) ) {
+			edge.removeTemplate( name );
+			registry.delete( name );
+			removed.push( name );
+		}
+	}
+	return removed;
+}
@@ -1,12 +1,15 @@
-import { strictEqual, match, doesNotMatch } from "node:assert";
+import { ok, strictEqual, match, doesNotMatch, rejects } from "node:assert";
 import { test, describe } from "node:test";
+import { mkdtemp, mkdir, writeFile, rm } from "node:fs/promises";
+import os from "node:os";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 
 import { Edge } from "edge.js";
-import Eleventy from "@11ty/eleventy";
+import Eleventy, { RenderPlugin } from "@11ty/eleventy";
 
 import edgeJsPlugin from "../edgeJsPlugin.js";
+import { cacheRawTemplates } from "../lib/compile.js";
 
 const dirname = path.dirname( fileURLToPath( import.meta.url ) );
 const input = path.relative( ".", path.join( dirname, "stubs" ) );
@@ -22,6 +25,68 @@ async function getTestResults( configCallback, options = {} ) {
 	return await elev.toJSON();
 }
 
+// Write a throwaway site to a temp directory, for tests that edit files between builds
+async function createSite( files ) {
+	let dir = await mkdtemp( path.join( os.tmpdir(), "edgejs-site-" ) );
+	for ( let [ file, contents ] of Object.entries( files ) ) {
+		await mkdir( path.dirname( path.join( dir, file ) ), { recursive: true } );
+		await writeFile( path.join( dir, file ), contents );
+	}
+	return dir;
+}
+
+// Build a site with the plugin and return its results by input file name (or by `key( result )`).
+// `site` is either the files of a throwaway site, which is removed afterwards, or the directory
+// of one kept between builds. `options` are the plugin's, or a function of the site's directory
+// for options naming paths in it. `configCallback` adds filters and plugins, `input` is the
+// input directory within the site, and `configFile` a config file in it
+async function buildSite( site, { options = {}, configCallback = () => {}, input = ".", runMode = "build", configFile, key = result => path.basename( result.inputPath ) } = {} ) {
+	let dir = typeof site === "string" ? site : await createSite( site );
+	try {
+		let elev = new Eleventy( path.join( dir, input ), undefined, {
+			runMode,
+			configPath: configFile ? path.join( dir, configFile ) : undefined,
+			config: ( eleventyConfig ) => {
+				eleventyConfig.addPlugin( edgeJsPlugin, typeof options === "function" ? options( dir ) : options );
+				configCallback( eleventyConfig );
+			}
+		} );
+		let results = await elev.toJSON();
+		return Object.fromEntries( results.map( result => [ key( result ), result ] ) );
+	} finally {
+		if ( dir !== site ) {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	}
+}
+
+// An Edge instance that records the path of each template it compiles
+function createRecordingEdge() {
+	let edge = Edge.create();
+	let compiled = [];
+	edge.processor.process( "compiled", ( { path: templatePath } ) => {
+		compiled.push( templatePath );
+	} );
+	return { edge, compiled };
+}
+
+// Run another build the way --serve does after `changedFiles` were edited
+async function rebuild( elev, changedFiles ) {
+	await elev.config.events.emit( "eleventy.beforeWatch", changedFiles );
+	await elev.restart();
+	await elev.init();
+	return elev.toJSON();
+}
+
+// The messages of an error and the errors it wraps (Eleventy's `originalError`, then `cause`)
+function getMessages( error ) {
+	let messages = [];
+	for ( let current = error; current; current = current.originalError ?? current.cause ) {
+		messages.push( current.message );
+	}
+	return messages.join( "\n" );
+}
+
 test( "EdgeJs basic variable interpolation", async () => {
 	let [ result ] = await getTestResults( ( eleventyConfig ) => {
 		eleventyConfig.addTemplate( "sample.edge", "<p>{{ name }}</p>", {
@@ -150,6 +215,50 @@ describe( "EdgeJs filters as globals", () => {
 	} );
 } );
 
+describe( "EdgeJs filters and shortcodes registered after the plugin", () => {
+	test( "Filter from a plugin added later is bridged", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPlugin( ( pluginConfig ) => {
+				pluginConfig.addFilter( "shout", str => `${ str.toUpperCase() }!` );
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ shout(name) }}</p>", {
+				name: "David"
+			} );
+		} );
+
+		strictEqual( result.content.trim(), "<p>DAVID!</p>" );
+	} );
+
+	test( "Shortcode from a plugin added later is bridged", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPlugin( ( pluginConfig ) => {
+				pluginConfig.addShortcode( "version", () => "v1.0.0" );
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ version() }}</p>", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<p>v1.0.0</p>" );
+	} );
+
+	test( "User globals still take precedence over bridged filters", async () => {
+		let [ result ] = await getTestResults(
+			( eleventyConfig ) => {
+				eleventyConfig.addFilter( "siteName", () => "From filter" );
+				eleventyConfig.addTemplate( "sample.edge", "<p>{{ siteName }}</p>", {} );
+			},
+			{
+				globals: {
+					siteName: "From globals"
+				}
+			}
+		);
+
+		strictEqual( result.content.trim(), "<p>From globals</p>" );
+	} );
+} );
+
 describe( "EdgeJs shortcodes as globals", () => {
 	test( "Shortcode bridged as global", async () => {
 		let [ result ] = await getTestResults( ( eleventyConfig ) => {
@@ -182,6 +291,72 @@ describe( "EdgeJs shortcodes as globals", () => {
 	} );
 } );
 
+describe( "EdgeJs Eleventy context in bridged functions", () => {
+	test( "Shortcode receives this.page", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "currentUrl", function () {
+				return this.page.url;
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ currentUrl() }}</p>", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<p>/sample/</p>" );
+	} );
+
+	test( "Filter receives this.eleventy and this.ctx", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "describe", function ( str ) {
+				return `${ str } ${ this.ctx.title } ${ typeof this.eleventy.generator }`;
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ describe('Hello') }}</p>", {
+				title: "World"
+			} );
+		} );
+
+		strictEqual( result.content.trim(), "<p>Hello World string</p>" );
+	} );
+
+	test( "Context is available inside @include", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "currentUrl", function () {
+				return this.page.url;
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "@include('current-url')", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<span>/sample/</span>" );
+	} );
+
+	test( "Context is available inside @component", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "currentUrl", function () {
+				return this.page.url;
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "@!component('components/current-url')", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<nav>/sample/</nav>" );
+	} );
+
+	test( "Context is bound to each page separately", async () => {
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "currentUrl", function () {
+				return this.page.url;
+			} );
+
+			eleventyConfig.addTemplate( "first.edge", "<p>{{ currentUrl() }}</p>", {} );
+			eleventyConfig.addTemplate( "second.edge", "<p>{{ currentUrl() }}</p>", {} );
+		} );
+
+		strictEqual( results.find( r => r.inputPath.endsWith( "first.edge" ) ).content.trim(), "<p>/first/</p>" );
+		strictEqual( results.find( r => r.inputPath.endsWith( "second.edge" ) ).content.trim(), "<p>/second/</p>" );
+	} );
+} );
+
 describe( "EdgeJs paired shortcodes as globals", () => {
 	test( "Paired shortcode bridged as global", async () => {
 		let [ result ] = await getTestResults( ( eleventyConfig ) => {
@@ -200,6 +375,227 @@ describe( "EdgeJs paired shortcodes as globals", () => {
 	} );
 } );
 
+describe( "EdgeJs paired shortcodes as block tags", () => {
+	test( "Block tag passes rendered body as content", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPairedShortcode( "callout", ( content, type = "info" ) => {
+				return `<div class="${ type }">${ content }</div>`;
+			} );
+
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@callout('warning')\n<p>{{ message }}</p>\n@end",
+				{ message: "Careful" }
+			);
+		} );
+
+		strictEqual( result.content.trim(), "<div class=\"warning\"><p>Careful</p></div>" );
+	} );
+
+	test( "Self-closing block tag passes empty content", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPairedShortcode( "callout", ( content, type = "info" ) => {
+				return `<div class="${ type }">${ content }</div>`;
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "@!callout()", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<div class=\"info\"></div>" );
+	} );
+
+	test( "Nested tags, includes and components in the body", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPairedShortcode( "wrap", ( content, tag ) => `<${ tag }>${ content }</${ tag }>` );
+
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@wrap('section')\n@wrap('div')\n@include('included')\n@!component('components/button', { text: 'Go', type: 'primary' })\n@end\n@end",
+				{}
+			);
+		} );
+
+		match( result.content, /^<section><div>This is an include\.\s*<button class="primary">Go<\/button><\/div><\/section>$/ );
+	} );
+
+	test( "Async output in the body is resolved before the shortcode runs", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncName", async () => "David" );
+			eleventyConfig.addPairedShortcode( "upper", content => content.toUpperCase() );
+
+			eleventyConfig.addTemplate( "sample.edge", "@upper()\nHello {{ asyncName() }}\n@end", {} );
+		} );
+
+		strictEqual( result.content.trim(), "HELLO DAVID" );
+	} );
+
+	test( "Async paired shortcode", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPairedShortcode( "asyncWrap", async content => `[${ content }]` );
+
+			eleventyConfig.addTemplate( "sample.edge", "@asyncWrap()\ninner\n@end", {} );
+		} );
+
+		strictEqual( result.content.trim(), "[inner]" );
+	} );
+
+	test( "Paired shortcode receives this.page", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPairedShortcode( "link", function ( content ) {
+				return `<a href="${ this.page.url }">${ content }</a>`;
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "@link()\nSelf\n@end", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<a href=\"/sample/\">Self</a>" );
+	} );
+
+	test( "Paired shortcode does not replace a built-in tag", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPairedShortcode( "if", () => "shortcode" );
+
+			eleventyConfig.addTemplate( "sample.edge", "@if(true)\nbuilt-in\n@end", {} );
+		} );
+
+		strictEqual( result.content.trim(), "built-in" );
+	} );
+} );
+
+describe( "EdgeJs custom tags", () => {
+	// Compile-time tag: the output is computed while the template is compiled
+	const shoutTag = {
+		block: false,
+		seekable: true,
+		compile( parser, buffer, token ) {
+			buffer.outputRaw( token.properties.jsArg.trim().replace( /^'|'$/g, "" ).toUpperCase() );
+		}
+	};
+
+	test( "Compile-time tag from the tags option", async () => {
+		let [ result ] = await getTestResults(
+			( eleventyConfig ) => {
+				eleventyConfig.addTemplate( "sample.edge", "<p>\n@shout('hello')\n</p>", {} );
+			},
+			{
+				tags: { shout: shoutTag }
+			}
+		);
+
+		match( result.content, /<p>\s*HELLO\s*<\/p>/ );
+	} );
+
+	test( "Tag registered with addEdgeTag from a later plugin", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPlugin( ( pluginConfig ) => {
+				pluginConfig.addEdgeTag( "shout", shoutTag );
+			} );
+
+			eleventyConfig.addTemplate( "sample.edge", "<p>\n@shout('hi')\n</p>", {} );
+		} );
+
+		match( result.content, /<p>\s*HI\s*<\/p>/ );
+	} );
+
+	test( "Block tag processes its children", async () => {
+		let [ result ] = await getTestResults(
+			( eleventyConfig ) => {
+				eleventyConfig.addTemplate( "sample.edge", "@twice()\n<b>{{ name }}</b>\n@end", { name: "David" } );
+			},
+			{
+				tags: {
+					twice: {
+						block: true,
+						seekable: true,
+						compile( parser, buffer, token ) {
+							for ( let i = 0; i < 2; i++ ) {
+								token.children.forEach( child => parser.processToken( child, buffer ) );
+							}
+						}
+					}
+				}
+			}
+		);
+
+		match( result.content, /<b>David<\/b>\s*<b>David<\/b>/ );
+	} );
+
+	test( "Tag producing async output through escape", async () => {
+		let [ result ] = await getTestResults(
+			( eleventyConfig ) => {
+				eleventyConfig.addShortcode( "fetchGreeting", async name => `<Hello ${ name }>` );
+				eleventyConfig.addTemplate( "sample.edge", "<p>\n@greet(name)\n</p>", { name: "David" } );
+			},
+			{
+				tags: {
+					greet: {
+						compile( parser, buffer, token ) {
+							let arg = parser.utils.transformAst(
+								parser.utils.generateAST( token.properties.jsArg, token.loc, token.filename ),
+								token.filename,
+								parser
+							);
+							buffer.outputExpression(
+								`template.escape(state.fetchGreeting(${ parser.utils.stringify( arg ) }))`,
+								token.filename,
+								token.loc.start.line,
+								false
+							);
+						}
+					}
+				}
+			}
+		);
+
+		match( result.content, /<p>\s*&lt;Hello David&gt;\s*<\/p>/ );
+	} );
+
+	test( "Tag awaiting async output", async () => {
+		let [ result ] = await getTestResults(
+			( eleventyConfig ) => {
+				eleventyConfig.addShortcode( "fetchGreeting", async () => "Hello" );
+				eleventyConfig.addTemplate( "sample.edge", "<p>\n@greet()\n</p>", {} );
+			},
+			{
+				tags: {
+					greet: {
+						compile( parser, buffer, token ) {
+							buffer.outputExpression( "(await state.fetchGreeting())", token.filename, token.loc.start.line, false );
+						}
+					}
+				}
+			}
+		);
+
+		match( result.content, /<p>\s*Hello\s*<\/p>/ );
+	} );
+
+	test( "Custom tag wins over a paired shortcode of the same name", async () => {
+		let [ result ] = await getTestResults(
+			( eleventyConfig ) => {
+				eleventyConfig.addPairedShortcode( "shout", () => "shortcode" );
+				eleventyConfig.addTemplate( "sample.edge", "<p>\n@shout('tag')\n</p>", {} );
+			},
+			{
+				tags: { shout: shoutTag }
+			}
+		);
+
+		match( result.content, /<p>\s*TAG\s*<\/p>/ );
+	} );
+
+	test( "Invalid tag definition throws", async () => {
+		await rejects(
+			getTestResults( () => {}, { tags: { broken: {} } } ),
+			( error ) => {
+				// Eleventy wraps errors thrown while a plugin runs
+				match( error.originalError.message, /Edge tag "broken" must be an object with a `compile/ );
+				return true;
+			}
+		);
+	} );
+} );
+
 describe( "EdgeJs conditionals - extended", () => {
 	test( "@elseif", async () => {
 		let [ result ] = await getTestResults( ( eleventyConfig ) => {
@@ -549,6 +945,187 @@ describe( "EdgeJs slots", () => {
 	} );
 } );
 
+describe( "EdgeJs incremental dependency tracking", () => {
+	async function getDependencies( template, runMode = "watch", options = {} ) {
+		let elev = new Eleventy( input, undefined, {
+			runMode,
+			config: ( eleventyConfig ) => {
+				eleventyConfig.addPlugin( edgeJsPlugin, options );
+				eleventyConfig.addTemplate( "sample.edge", template, { show: true, partialName: "included" } );
+			}
+		} );
+
+		await elev.toJSON();
+		return elev.eleventyConfig.usesGraph.getDependencies( path.join( input, "sample.edge" ) ) || [];
+	}
+
+	const includes = path.join( input, "_includes" ).split( path.sep ).join( "/" );
+
+	test( "Includes are tracked transitively", async () => {
+		let deps = await getDependencies( "@include('with-nested')\n@includeIf(show, 'included')" );
+
+		ok( deps.includes( `${ includes }/with-nested.edge` ) );
+		ok( deps.includes( `${ includes }/subfolder/nested.edge` ) );
+		ok( deps.includes( `${ includes }/included.edge` ) );
+	} );
+
+	test( "Components and component tags are tracked", async () => {
+		let deps = await getDependencies(
+			"@component('components/card')\n@include('included')\n@end\n@!button({ text: 'Go', type: 'primary' })"
+		);
+
+		ok( deps.includes( `${ includes }/components/card.edge` ) );
+		ok( deps.includes( `${ includes }/components/button.edge` ) );
+		ok( deps.includes( `${ includes }/included.edge` ) );
+		ok( !deps.includes( `${ includes }/components/modal.edge` ) );
+	} );
+
+	test( "In-memory templates are followed but not reported", async () => {
+		let deps = await getDependencies( "@include('acme/wrapper')", "watch", {
+			templates: { "acme/wrapper": "<div>\n@include('included')\n</div>" }
+		} );
+
+		ok( deps.includes( `${ includes }/included.edge` ) );
+		ok( !deps.some( dep => dep.includes( "acme/wrapper" ) ) );
+	} );
+
+	test( "Dynamic template names are skipped", async () => {
+		let deps = await getDependencies( "@include(partialName)" );
+
+		strictEqual( deps.length, 0 );
+	} );
+
+	test( "Dependencies are not tracked for one-off builds", async () => {
+		let deps = await getDependencies( "@include('included')", "build" );
+
+		ok( !deps.includes( `${ includes }/included.edge` ) );
+	} );
+} );
+
+describe( "EdgeJs cache invalidation in watch mode", () => {
+	test( "Edited component is re-read with cache enabled", async () => {
+		let dir = await createSite( {
+			"index.edge": "@!component('components/box')",
+			"_includes/components/box.edge": "Version 1"
+		} );
+
+		try {
+			let elev = new Eleventy( dir, undefined, {
+				runMode: "watch",
+				config: ( eleventyConfig ) => {
+					eleventyConfig.addPlugin( edgeJsPlugin, { cache: true } );
+				}
+			} );
+
+			let [ first ] = await elev.toJSON();
+			strictEqual( first.content.trim(), "Version 1" );
+
+			let box = path.join( dir, "_includes/components/box.edge" );
+			await writeFile( box, "Version 2" );
+
+			let [ second ] = await rebuild( elev, [ box ] );
+			strictEqual( second.content.trim(), "Version 2" );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Component created during watch can be used as a tag with cache enabled", async () => {
+		let dir = await createSite( {
+			"index.edge": "@!box()",
+			"_includes/components/box.edge": "<div>Box</div>"
+		} );
+
+		try {
+			let elev = new Eleventy( dir, undefined, {
+				runMode: "watch",
+				config: ( eleventyConfig ) => {
+					eleventyConfig.addPlugin( edgeJsPlugin, { cache: true } );
+				}
+			} );
+
+			let [ first ] = await elev.toJSON();
+			strictEqual( first.content.trim(), "<div>Box</div>" );
+
+			let box = path.join( dir, "_includes/components/box.edge" );
+			let badge = path.join( dir, "_includes/components/badge.edge" );
+			await writeFile( badge, "<b>{{ label }}</b>" );
+			await writeFile( box, "<div>Box</div>\n@!badge({ label: 'New' })" );
+
+			let [ second ] = await rebuild( elev, [ badge, box ] );
+			strictEqual( second.content.trim(), "<div>Box</div><b>New</b>" );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Cached component that renders an edited component is evicted", async () => {
+		let dir = await createSite( {
+			"index.edge": "@!component('components/box')",
+			"_includes/components/box.edge": "<div>\n@!component('components/inner')\n</div>",
+			"_includes/components/inner.edge": "Inner 1"
+		} );
+
+		try {
+			let edge = Edge.create( { cache: true } );
+			let elev = new Eleventy( dir, undefined, {
+				runMode: "watch",
+				config: ( eleventyConfig ) => {
+					eleventyConfig.addPlugin( edgeJsPlugin, { eleventyLibraryOverride: edge } );
+				}
+			} );
+
+			let [ first ] = await elev.toJSON();
+			match( first.content, /Inner 1/ );
+
+			let box = path.join( dir, "_includes/components/box.edge" );
+			let inner = path.join( dir, "_includes/components/inner.edge" );
+			ok( edge.asyncCompiler.cacheManager.has( box ) );
+
+			await writeFile( inner, "Inner 2" );
+			await elev.config.events.emit( "eleventy.beforeWatch", [ inner ] );
+
+			ok( !edge.asyncCompiler.cacheManager.has( box ) );
+			ok( !edge.asyncCompiler.cacheManager.has( inner ) );
+
+			let [ second ] = await rebuild( elev, [] );
+			match( second.content, /Inner 2/ );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Unrelated cached templates are kept", async () => {
+		let dir = await createSite( {
+			"index.edge": "@!component('components/box')\n@!component('components/other')",
+			"_includes/components/box.edge": "<div>Box</div>",
+			"_includes/components/other.edge": "Other 1"
+		} );
+
+		try {
+			let edge = Edge.create( { cache: true } );
+			let elev = new Eleventy( dir, undefined, {
+				runMode: "watch",
+				config: ( eleventyConfig ) => {
+					eleventyConfig.addPlugin( edgeJsPlugin, { eleventyLibraryOverride: edge } );
+				}
+			} );
+
+			await elev.toJSON();
+
+			let box = path.join( dir, "_includes/components/box.edge" );
+			let other = path.join( dir, "_includes/components/other.edge" );
+			await writeFile( other, "Other 2" );
+			await elev.config.events.emit( "eleventy.beforeWatch", [ other ] );
+
+			ok( edge.asyncCompiler.cacheManager.has( box ) );
+			ok( !edge.asyncCompiler.cacheManager.has( other ) );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+} );
+
 test( "EdgeJs front matter data access", async () => {
 	let results = await getTestResults( () => {} );
 
@@ -600,49 +1177,380 @@ test( "EdgeJs library override option", async () => {
 	strictEqual( result.content.trim(), "<p>Override</p>" );
 } );
 
-describe( "EdgeJs null and undefined rendering", () => {
-	test( "Null renders as empty string in escaped output", async () => {
-		let [ result ] = await getTestResults( ( eleventyConfig ) => {
-			eleventyConfig.addTemplate( "sample.edge", "<p>{{ value }}</p>", {
-				value: null
+describe( "EdgeJs compiled template reuse", () => {
+	// A page with enough markup that compiling it costs more than rendering it
+	let pageTemplate = Array.from( { length: 50 }, ( value, index ) => `<section id="s${ index }">
+@if( item.id % 2 === 0 )
+<h2>{{ item.title }} (even)</h2>
+@else
+<h2>{{ item.title }}</h2>
+@end
+<ul>@each( tag in item.tags )<li>{{ tag }}</li>@end</ul>
+</section>` ).join( "\n" );
+
+	let items = Array.from( { length: 200 }, ( value, id ) => ( { id, title: `Item ${ id }`, tags: [ "a", "b", "c" ] } ) );
+
+	test( "Paginated page body and permalink are compiled once", async () => {
+		let { edge, compiled } = createRecordingEdge();
+
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", pageTemplate, {
+				items,
+				pagination: { data: "items", size: 1, alias: "item" },
+				permalink: "items/{{ item.id }}/index.html"
 			} );
-		} );
+		}, { eleventyLibraryOverride: edge } );
 
-		strictEqual( result.content.trim(), "<p></p>" );
+		results = results.filter( result => result.inputPath.endsWith( "sample.edge" ) );
+		strictEqual( results.length, items.length );
+		ok( results.some( result => result.url === "/items/199/" ) );
+		match( results.find( result => result.url === "/items/4/" ).content, /<h2>Item 4 \(even\)<\/h2>/ );
+
+		let filename = path.resolve( input, "sample.edge" );
+		strictEqual( compiled.filter( templatePath => templatePath === filename ).length, 1 );
+		strictEqual( compiled.filter( templatePath => templatePath === `${ filename }#permalink` ).length, 1 );
 	} );
 
-	test( "Undefined renders as empty string in escaped output", async () => {
-		let [ result ] = await getTestResults( ( eleventyConfig ) => {
-			eleventyConfig.addTemplate( "sample.edge", "<p>{{ value }}</p>", {
-				value: undefined
-			} );
-		} );
+	test( "Changed source for the same path is recompiled", async () => {
+		let edge = Edge.create();
+		cacheRawTemplates( edge );
 
-		strictEqual( result.content.trim(), "<p></p>" );
+		strictEqual( await edge.renderRaw( "<p>{{ name }}</p>", { name: "David" }, "page.edge" ), "<p>David</p>" );
+		strictEqual( await edge.renderRaw( "<b>{{ name }}</b>", { name: "David" }, "page.edge" ), "<b>David</b>" );
 	} );
 
-	test( "Undefined variable renders as empty string", async () => {
-		let [ result ] = await getTestResults( ( eleventyConfig ) => {
-			eleventyConfig.addTemplate( "sample.edge", "<p>{{ nonexistent }}</p>", {} );
-		} );
+	test( "Benchmark: rendering a large paginated template", async ( t ) => {
+		async function renderAll( edge ) {
+			let start = performance.now();
+			for ( let item of items ) {
+				await edge.renderRaw( pageTemplate, { item }, "page.edge" );
+			}
+			return performance.now() - start;
+		}
 
-		strictEqual( result.content.trim(), "<p></p>" );
-	} );
+		let uncachedEdge = createRecordingEdge();
+		let cachedEdge = createRecordingEdge();
+		cacheRawTemplates( cachedEdge.edge );
 
-	test( "Null from filter renders as empty string", async () => {
-		let [ result ] = await getTestResults( ( eleventyConfig ) => {
-			eleventyConfig.addFilter( "returnsNull", () => null );
+		let uncached = await renderAll( uncachedEdge.edge );
+		let cached = await renderAll( cachedEdge.edge );
 
-			eleventyConfig.addTemplate( "sample.edge", "<p>{{ returnsNull() }}</p>", {} );
+		// Timings vary with the machine, so they are only reported; the compile counts are checked
+		t.diagnostic( `${ items.length } pages: ${ uncached.toFixed( 1 ) }ms recompiling, ${ cached.toFixed( 1 ) }ms compiled once` );
+		strictEqual( uncachedEdge.compiled.length, items.length );
+		strictEqual( cachedEdge.compiled.length, 1 );
+	} );
+} );
+
+describe( "EdgeJs precompile cache", () => {
+	test( "Cold build reuses templates compiled by a previous build", async () => {
+		let dir = await createSite( {
+			"index.edge": "<h1>{{ title }}</h1>\n@!component('components/box', { label: 'Box' })",
+			"index.11tydata.json": JSON.stringify( { title: "Home" } ),
+			"_includes/components/box.edge": "<div>{{ label }}</div>"
 		} );
+		let cacheDir = path.join( dir, ".cache" );
+
+		try {
+			let first = createRecordingEdge();
+			let firstPages = await buildSite( dir, { options: { eleventyLibraryOverride: first.edge, precompileCache: cacheDir } } );
+			strictEqual( firstPages["index.edge"].content.trim(), "<h1>Home</h1><div>Box</div>" );
+			strictEqual( first.compiled.length, 2 );
+
+			let second = createRecordingEdge();
+			let secondPages = await buildSite( dir, { options: { eleventyLibraryOverride: second.edge, precompileCache: cacheDir } } );
+			strictEqual( secondPages["index.edge"].content, firstPages["index.edge"].content );
+			strictEqual( second.compiled.length, 0 );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
 
-		strictEqual( result.content.trim(), "<p></p>" );
+	test( "Edited templates are compiled again", async () => {
+		let dir = await createSite( {
+			"index.edge": "@!component('components/box')",
+			"_includes/components/box.edge": "Version 1"
+		} );
+		let cacheDir = path.join( dir, ".cache" );
+
+		try {
+			await buildSite( dir, { options: { precompileCache: cacheDir } } );
+			await writeFile( path.join( dir, "_includes/components/box.edge" ), "Version 2" );
+
+			let second = createRecordingEdge();
+			let pages = await buildSite( dir, { options: { eleventyLibraryOverride: second.edge, precompileCache: cacheDir } } );
+			strictEqual( pages["index.edge"].content.trim(), "Version 2" );
+			strictEqual( second.compiled.length, 1 );
+			ok( second.compiled[0].endsWith( "box.edge" ) );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
 	} );
 
-	test( "Falsy values other than null/undefined still render", async () => {
-		let [ result ] = await getTestResults( ( eleventyConfig ) => {
-			eleventyConfig.addTemplate(
-				"sample.edge",
+	test( "Turning on asyncTimeout compiles templates again", async () => {
+		let dir = await createSite( {
+			"index.edge": "<p>\nStart\n{{ load() }}\n</p>"
+		} );
+		let cacheDir = path.join( dir, ".cache" );
+
+		try {
+			let pages = await buildSite( dir, {
+				options: { precompileCache: cacheDir },
+				configCallback: eleventyConfig => eleventyConfig.addShortcode( "load", async () => "Loaded" )
+			} );
+			strictEqual( pages["index.edge"].content.trim(), "<p>\nStart\nLoaded\n</p>" );
+
+			// Compiled templates record their location for the timeout error
+			await rejects(
+				buildSite( dir, {
+					options: { precompileCache: cacheDir, asyncTimeout: 50 },
+					configCallback: eleventyConfig => eleventyConfig.addShortcode( "load", () => new Promise( () => {} ) )
+				} ),
+				( error ) => {
+					match( getMessages( error ), /Edge: load\(\) in \S*index\.edge:3 did not settle within 50ms/ );
+					return true;
+				}
+			);
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Turning off autoAwait compiles templates again", async () => {
+		let dir = await createSite( {
+			"index.edge": "@if( isOk() )\nyes\n@else\nno\n@end"
+		} );
+		let settings = {
+			configCallback: eleventyConfig => eleventyConfig.addFilter( "isOk", async () => false )
+		};
+
+		try {
+			let pages = await buildSite( dir, { ...settings, options: { precompileCache: path.join( dir, ".cache" ) } } );
+			strictEqual( pages["index.edge"].content.trim(), "no" );
+
+			// Without autoAwait the Promise itself is truthy
+			pages = await buildSite( dir, { ...settings, options: { precompileCache: path.join( dir, ".cache" ), autoAwait: false } } );
+			strictEqual( pages["index.edge"].content.trim(), "yes" );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Turning on the cache for an instance that already rendered stores Edge's templates", async () => {
+		let dir = await createSite( {
+			"index.edge": "<h1>{{ title }}</h1>\n@!component('components/box', { label: 'Box' })",
+			"index.11tydata.json": JSON.stringify( { title: "Home" } ),
+			"_includes/components/box.edge": "<div>{{ label }}</div>"
+		} );
+		let cacheDir = path.join( dir, ".cache" );
+
+		try {
+			// The instance gets the other compile wrappers before the precompile cache
+			let edge = Edge.create();
+			await buildSite( dir, { options: { eleventyLibraryOverride: edge } } );
+			await buildSite( dir, { options: { eleventyLibraryOverride: edge, precompileCache: cacheDir } } );
+
+			// Another instance set up the same way reads what it stored
+			let other = createRecordingEdge();
+			await buildSite( dir, { options: { eleventyLibraryOverride: other.edge } } );
+			other.compiled.length = 0;
+			let pages = await buildSite( dir, { options: { eleventyLibraryOverride: other.edge, precompileCache: cacheDir } } );
+			strictEqual( pages["index.edge"].content.trim(), "<h1>Home</h1><div>Box</div>" );
+			strictEqual( other.compiled.length, 0 );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Entries are not shared when tags change", async () => {
+		let dir = await createSite( {
+			"index.edge": "@shout('hi')"
+		} );
+		let cacheDir = path.join( dir, ".cache" );
+		// Edited tag code in the config, as seen by two builds
+		let before = {
+			compile( parser, buffer, token ) {
+				buffer.outputRaw( token.properties.jsArg.slice( 1, -1 ).toUpperCase() );
+			}
+		};
+		let after = {
+			compile( parser, buffer, token ) {
+				buffer.outputRaw( `${ token.properties.jsArg.slice( 1, -1 ).toUpperCase() }!` );
+			}
+		};
+
+		try {
+			let first = await buildSite( dir, { options: { precompileCache: cacheDir, tags: { shout: before } } } );
+			strictEqual( first["index.edge"].content.trim(), "HI" );
+
+			let second = await buildSite( dir, { options: { precompileCache: cacheDir, tags: { shout: after } } } );
+			strictEqual( second["index.edge"].content.trim(), "HI!" );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+} );
+
+describe( "EdgeJs named mounts", () => {
+	// Mount directories of the site, with the pages in its `site` directory
+	async function build( files, mounts ) {
+		let pages = await buildSite( files, {
+			input: "site",
+			options: dir => ( {
+				mounts: Object.fromEntries( Object.entries( mounts ).map( ( [ name, directory ] ) => [ name, path.join( dir, directory ) ] ) )
+			} )
+		} );
+		return pages["index.edge"].content.trim();
+	}
+
+	test( "Includes and components resolve from a named disk", async () => {
+		let content = await build( {
+			"site/index.edge": "@include( 'ui::nav' )\n@!component( 'ui::components/button', { label: 'Go' } )\n@!ui.button( { label: 'Tag' } )",
+			"ui-lib/nav.edge": "<nav>Shared nav</nav>",
+			"ui-lib/components/button.edge": "<button>{{ label }}</button>"
+		}, { ui: "ui-lib" } );
+
+		match( content, /<nav>Shared nav<\/nav>/ );
+		match( content, /<button>Go<\/button>/ );
+		match( content, /<button>Tag<\/button>/ );
+	} );
+
+	test( "Missing template error lists the searched path and mounted disks", async () => {
+		await rejects(
+			build( {
+				"site/index.edge": "@include( 'ui::missing' )",
+				"ui-lib/nav.edge": "<nav></nav>"
+			}, { ui: "ui-lib" } ),
+			( error ) => {
+				let { message } = error.originalError ?? error;
+				match( message, /Cannot find Edge template "ui::missing"/ );
+				match( message, /Searched:\n {2}\S+ui-lib[\\/]missing\.edge/ );
+				match( message, /Mounted disks:\n[\s\S]*ui: \S+ui-lib/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Unknown disk error lists mounted disks", async () => {
+		await rejects(
+			build( {
+				"site/index.edge": "@include( 'uii::nav' )",
+				"ui-lib/nav.edge": "<nav></nav>"
+			}, { ui: "ui-lib" } ),
+			( error ) => {
+				let { message } = error.originalError ?? error;
+				match( message, /Cannot find Edge template "uii::nav": the "uii" disk is not mounted/ );
+				match( message, /ui: \S+ui-lib/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Mounting a missing directory throws", async () => {
+		await rejects(
+			build( { "site/index.edge": "Hello" }, { ui: "not-here" } ),
+			( error ) => {
+				let { message } = error.originalError ?? error;
+				match( message, /Edge mount "ui" points to a directory that does not exist: \S+not-here/ );
+				return true;
+			}
+		);
+	} );
+} );
+
+describe( "EdgeJs in-memory templates", () => {
+	test( "Templates from the templates option resolve through @include", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "@include( 'acme/nav' )", { title: "Home" } );
+		}, {
+			templates: { "acme/nav": "<nav>{{ title }}</nav>" }
+		} );
+
+		strictEqual( result.content.trim(), "<nav>Home</nav>" );
+	} );
+
+	test( "addEdgeTemplate registers components from a later plugin", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addPlugin( ( pluginConfig ) => {
+				pluginConfig.addEdgeTemplate( "acme/button", "<button>{{ label }}</button>" );
+			} );
+			eleventyConfig.addTemplate( "sample.edge", "@!component( 'acme/button', { label: 'Go' } )" );
+		} );
+
+		strictEqual( result.content.trim(), "<button>Go</button>" );
+	} );
+
+	test( "Non-string sources throw", async () => {
+		await rejects(
+			getTestResults( () => {}, { templates: { "acme/nav": { template: "<nav></nav>" } } } ),
+			( error ) => {
+				match( error.originalError.message, /Edge template "acme\/nav" must be a string of Edge source/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Config reloads replace and remove templates on a shared instance", async () => {
+		let edge = Edge.create( { cache: true } );
+		let build = async ( templates, template ) => {
+			let [ result ] = await getTestResults( ( eleventyConfig ) => {
+				eleventyConfig.addTemplate( "sample.edge", template );
+			}, { eleventyLibraryOverride: edge, templates } );
+			return result.content.trim();
+		};
+
+		strictEqual( await build( { "acme/box": "Version 1" }, "@!component( 'acme/box' )" ), "Version 1" );
+		strictEqual( await build( { "acme/box": "Version 2" }, "@!component( 'acme/box' )" ), "Version 2" );
+
+		await build( {}, "Nothing" );
+		ok( !( "acme/box" in edge.loader.templates ) );
+		ok( !edge.asyncCompiler.cacheManager.has( "acme/box" ) );
+	} );
+} );
+
+describe( "EdgeJs null and undefined rendering", () => {
+	test( "Null renders as empty string in escaped output", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ value }}</p>", {
+				value: null
+			} );
+		} );
+
+		strictEqual( result.content.trim(), "<p></p>" );
+	} );
+
+	test( "Undefined renders as empty string in escaped output", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ value }}</p>", {
+				value: undefined
+			} );
+		} );
+
+		strictEqual( result.content.trim(), "<p></p>" );
+	} );
+
+	test( "Undefined variable renders as empty string", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ nonexistent }}</p>", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<p></p>" );
+	} );
+
+	test( "Null from filter renders as empty string", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "returnsNull", () => null );
+
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ returnsNull() }}</p>", {} );
+		} );
+
+		strictEqual( result.content.trim(), "<p></p>" );
+	} );
+
+	test( "Falsy values other than null/undefined still render", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate(
+				"sample.edge",
 				"<p>{{ zero }}</p><p>{{ empty }}</p><p>{{ no }}</p>",
 				{ zero: 0, empty: "", no: false }
 			);
@@ -746,3 +1654,989 @@ describe( "EdgeJs auto-await async functions", () => {
 		strictEqual( result.content.trim(), "<p>&lt;b&gt;bold&lt;/b&gt;</p>" );
 	} );
 } );
+
+describe( "EdgeJs async values in raw output", () => {
+	function addImageShortcode( eleventyConfig ) {
+		eleventyConfig.addShortcode( "image", async ( src, alt ) => `<img src="${ src }" alt="${ alt }">` );
+	}
+
+	test( "Async shortcode in unescaped output is not escaped", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			addImageShortcode( eleventyConfig );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{{ image( 'a.png', 'A' ) }}}</p>" );
+		} );
+
+		strictEqual( result.content.trim(), "<p><img src=\"a.png\" alt=\"A\"></p>" );
+	} );
+
+	test( "Async shortcode wrapped in html.safe() is not escaped", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			addImageShortcode( eleventyConfig );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ html.safe( image( 'a.png', 'A' ) ) }}</p>" );
+		} );
+
+		strictEqual( result.content.trim(), "<p><img src=\"a.png\" alt=\"A\"></p>" );
+	} );
+
+	test( "Async value concatenated in escaped output is escaped once", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			addImageShortcode( eleventyConfig );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ 'Image: ' + image( 'a.png', 'A&B' ) }}</p>" );
+		} );
+
+		strictEqual( result.content.trim(), "<p>Image: &lt;img src=&quot;a.png&quot; alt=&quot;A&amp;B&quot;&gt;</p>" );
+	} );
+
+	test( "Async raw output inside an include", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			addImageShortcode( eleventyConfig );
+			eleventyConfig.addTemplate( "sample.edge", "<div>\n@include( 'figure' )\n</div>" );
+		}, {
+			templates: { figure: "<figure>{{{ image( 'a.png', 'A' ) }}}</figure>" }
+		} );
+
+		match( result.content, /<figure><img src="a.png" alt="A"><\/figure>/ );
+	} );
+
+	test( "Async raw output inside a component slot", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			addImageShortcode( eleventyConfig );
+			eleventyConfig.addTemplate( "sample.edge", "@component( 'frame' )\n{{{ image( 'a.png', 'A' ) }}}\n@end" );
+		}, {
+			templates: { frame: "<div class=\"frame\">{{{ await $slots.main() }}}</div>" }
+		} );
+
+		match( result.content, /<div class="frame">\s*<img src="a.png" alt="A">\s*<\/div>/ );
+	} );
+
+	test( "Async raw output returning null renders as empty string", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncNull", async () => null );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{{ asyncNull() }}}</p>" );
+		} );
+
+		strictEqual( result.content.trim(), "<p></p>" );
+	} );
+} );
+
+describe( "EdgeJs async filters in tag expressions", () => {
+	test( "Async filter in @if is awaited", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "isPublished", async post => post.published );
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@if( isPublished( post ) )\nPublished\n@elseif( isPublished( draft ) )\nDraft\n@else\nHidden\n@end",
+				{ post: { published: false }, draft: { published: true } }
+			);
+		} );
+
+		strictEqual( result.content.trim(), "Draft" );
+	} );
+
+	test( "Async filter in @each is awaited", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "fetchFeed", async url => [ `${ url }/1`, `${ url }/2` ] );
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@each( ( item, index ) in fetchFeed( 'feed' ) )\n<li>{{ index }}: {{ item }}</li>\n@end"
+			);
+		} );
+
+		strictEqual( result.content.trim(), "<li>0: feed/1</li>\n<li>1: feed/2</li>" );
+	} );
+
+	test( "Async shortcode in @let is awaited", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "getPost", async id => ( { title: `Post ${ id }` } ) );
+			eleventyConfig.addTemplate( "sample.edge", "@let( post = getPost( 7 ) )\n<h1>{{ post.title }}</h1>" );
+		} );
+
+		strictEqual( result.content.trim(), "<h1>Post 7</h1>" );
+	} );
+
+	test( "Nested async calls are awaited", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "asyncTitle", async () => "hello" );
+			eleventyConfig.addFilter( "upcase", str => str.toUpperCase() );
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@if( upcase( asyncTitle() ) === 'HELLO' )\n<p>{{ upcase( asyncTitle() ) }}</p>\n@end"
+			);
+		} );
+
+		strictEqual( result.content.trim(), "<p>HELLO</p>" );
+	} );
+
+	test( "Template variables with the same name are not awaited", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "format", async value => `filter ${ value }` );
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@each( format in formats )\n@let( label = format( 'x' ) )\n{{ label }}\n@end",
+				{ formats: [ value => `local ${ value }` ] }
+			);
+		} );
+
+		strictEqual( result.content.trim(), "local x" );
+	} );
+
+	test( "Async results are used by `??` in output", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncNull", async () => null );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ asyncNull() ?? 'dflt' }}</p>" );
+		} );
+
+		strictEqual( result.content.trim(), "<p>dflt</p>" );
+	} );
+
+	test( "Async results are compared in output", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "asyncUp", async value => value.toUpperCase() );
+			eleventyConfig.addFilter( "getPost", async id => ( { title: `Post ${ id }` } ) );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ asyncUp( 'a' ) === 'A' ? 'yes' : 'no' }}</p>\n<h1>{{{ getPost( 7 ).title }}}</h1>" );
+		} );
+
+		strictEqual( result.content.trim(), "<p>yes</p>\n<h1>Post 7</h1>" );
+	} );
+} );
+
+describe( "EdgeJs async call limits", () => {
+	test( "asyncConcurrency caps the async calls running at once", async () => {
+		let running = 0;
+		let maxRunning = 0;
+
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "slow", async ( n ) => {
+				maxRunning = Math.max( maxRunning, ++running );
+				await new Promise( resolve => setTimeout( resolve, 5 ) );
+				running--;
+				return `<${ n }>`;
+			} );
+			eleventyConfig.addTemplate(
+				"sample.edge",
+				"@each( n in items )\n{{{ slow( n ) }}}\n@end",
+				{ items: Array.from( { length: 20 }, ( value, index ) => index ) }
+			);
+		}, { asyncConcurrency: 3 } );
+
+		strictEqual( maxRunning, 3 );
+		strictEqual( result.content.replace( /\s/g, "" ), Array.from( { length: 20 }, ( value, index ) => `<${ index }>` ).join( "" ) );
+	} );
+
+	test( "Templates rendered by a limited call can make async calls of their own", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncUp", async value => value.toUpperCase() );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{{ edgeInclude( 'part' ) }}}</p>" );
+		}, { asyncConcurrency: 1, templates: { part: "{{ asyncUp( 'a' ) }}{{ asyncUp( 'b' ) }}{{ asyncUp( 'c' ) }}" } } );
+
+		strictEqual( result.content.trim(), "<p>ABC</p>" );
+	} );
+
+	test( "Sync filters stay sync when limited", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "upcase", str => str.toUpperCase() );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ upcase( name ).length }}</p>", { name: "David" } );
+		}, { asyncConcurrency: 1, asyncTimeout: 1000 } );
+
+		strictEqual( result.content.trim(), "<p>5</p>" );
+	} );
+
+	test( "asyncTimeout names the call, template and line", async () => {
+		await rejects(
+			getTestResults( ( eleventyConfig ) => {
+				eleventyConfig.addShortcode( "hang", () => new Promise( () => {} ) );
+				eleventyConfig.addTemplate( "sample.edge", "<p>\nStart\n{{ hang() }}\n</p>" );
+			}, { asyncTimeout: 50 } ),
+			( error ) => {
+				match( getMessages( error ), /Edge: hang\(\) in \S*sample\.edge:3 did not settle within 50ms/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "asyncTimeout names the included template", async () => {
+		await rejects(
+			getTestResults( ( eleventyConfig ) => {
+				eleventyConfig.addShortcode( "hang", async () => new Promise( () => {} ) );
+				eleventyConfig.addTemplate( "sample.edge", "<div>\n@include( 'slow-part' )\n</div>" );
+			}, { asyncTimeout: 50, templates: { "slow-part": "<p>\n@if( hang() )\nLoaded\n@end\n</p>" } } ),
+			( error ) => {
+				match( getMessages( error ), /Edge: hang\(\) in slow-part:2 did not settle within 50ms/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Limits that would never let a call run are rejected", async () => {
+		for ( let asyncConcurrency of [ 0, -1, 1.5, "4" ] ) {
+			await rejects(
+				getTestResults( () => {}, { asyncConcurrency } ),
+				( error ) => {
+					match( getMessages( error ), /The Edge `asyncConcurrency` option must be a positive integer or Infinity/ );
+					return true;
+				}
+			);
+		}
+
+		await rejects(
+			getTestResults( () => {}, { asyncTimeout: -1 } ),
+			( error ) => {
+				match( getMessages( error ), /The Edge `asyncTimeout` option must be a number of milliseconds/ );
+				return true;
+			}
+		);
+	} );
+} );
+
+describe( "EdgeJs template behaviors", () => {
+	function findCause( error, expected ) {
+		for ( let current = error; current; current = current.originalError ?? current.cause ) {
+			if ( current === expected ) return true;
+		}
+		return false;
+	}
+
+	test( "Other Edge instances are not affected", async () => {
+		// Render through the plugin first so its behaviors are in place
+		await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ value }}</p>", { value: null } );
+		} );
+
+		let edge = Edge.create();
+		strictEqual( await edge.renderRaw( "<p>{{ value }}</p>", { value: null } ), "<p>null</p>" );
+		strictEqual( await edge.renderRaw( "<p>{{ value() }}</p>", { value: async () => "Hi" } ), "<p>[object Promise]</p>" );
+	} );
+
+	test( "An instance passed as eleventyLibraryOverride gets the behaviors", async () => {
+		let edge = Edge.create();
+		await getTestResults( () => {}, { eleventyLibraryOverride: edge } );
+
+		strictEqual( await edge.renderRaw( "<p>{{ value }}</p>", { value: null } ), "<p></p>" );
+		strictEqual( await edge.renderRaw( "<p>{{ value() }}</p>", { value: async () => "Hi" } ), "<p>Hi</p>" );
+	} );
+
+	test( "nullAsEmpty: false renders null like Edge", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ value }}</p>", { value: null } );
+		}, { nullAsEmpty: false } );
+
+		strictEqual( result.content.trim(), "<p>null</p>" );
+	} );
+
+	test( "autoAwait: false leaves Promises to explicit await", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncGreet", async name => `Hi, ${ name }!` );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ await asyncGreet( 'David' ) }}</p><p>{{ asyncGreet( 'David' ) }}</p>" );
+		}, { autoAwait: false } );
+
+		strictEqual( result.content.trim(), "<p>Hi, David!</p><p>[object Promise]</p>" );
+	} );
+
+	test( "errorCause keeps the original error", async () => {
+		let thrown = new Error( "Filter failed" );
+		let render = errorCause => getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "fail", () => {
+				throw thrown;
+			} );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ fail() }}</p>" );
+		}, { errorCause } );
+
+		await rejects( render( true ), error => findCause( error, thrown ) );
+		await rejects( render( false ), error => !findCause( error, thrown ) );
+	} );
+} );
+
+describe( "EdgeJs strict mode", () => {
+	let getSample = results => results.find( result => result.inputPath.endsWith( "sample.edge" ) );
+
+	test( "strict: true fails on an undefined variable with its location", async () => {
+		await rejects(
+			getTestResults( ( eleventyConfig ) => {
+				eleventyConfig.addTemplate( "sample.edge", "<title>{{ tittle }}</title>", { title: "Home" } );
+			}, { strict: true } ),
+			( error ) => {
+				match( getMessages( error ), /Edge strict mode: "tittle" is undefined\. .* \(\S*sample\.edge:1:11\)/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "strict: true fails on an undefined property lookup", async () => {
+		await rejects(
+			getTestResults( ( eleventyConfig ) => {
+				eleventyConfig.addFilter( "upcase", value => String( value ).toUpperCase() );
+				eleventyConfig.addTemplate( "sample.edge", "<h1>{{ post.title }}</h1>\n<p>{{ upcase( post.titel ) }}</p>", { post: { title: "Hi" } } );
+			}, { strict: true } ),
+			( error ) => {
+				match( getMessages( error ), /"post\.titel" is undefined\. .* \(\S*sample\.edge:2:15\)/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Optional access, defaults and null values are allowed", async () => {
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", [
+				"<p>{{ page?.excerpt }}</p>",
+				"<p>{{ subtitle ?? 'None' }}</p>",
+				"<p>{{ title || 'Home' }}</p>",
+				"<p>{{ post.summary ? post.summary : 'No summary' }}</p>",
+				"<p>{{ typeof missing }}</p>",
+				"<p>{{ empty }}</p>",
+				"@if( subtitle )", "<p>Subtitle</p>", "@end"
+			].join( "\n" ), { post: {}, empty: null } );
+		}, { strict: true } );
+
+		strictEqual( getSample( results ).content.trim(), "<p></p>\n<p>None</p>\n<p>Home</p>\n<p>No summary</p>\n<p>undefined</p>\n<p></p>" );
+	} );
+
+	test( "Undefined values in includes name the included template", async () => {
+		await rejects(
+			getTestResults( ( eleventyConfig ) => {
+				eleventyConfig.addTemplate( "sample.edge", "@include( 'header' )" );
+			}, {
+				strict: true,
+				templates: { header: "<header>\n  {{ siteName }}\n</header>" }
+			} ),
+			( error ) => {
+				match( getMessages( error ), /"siteName" is undefined\. .* \(header:2:6\)/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "strict: \"warn\" logs each undefined value once per build", async ( t ) => {
+		let warn = t.mock.method( console, "warn", () => {} );
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{ item }}: {{ tittle }}</p>", {
+				pagination: { data: "items", size: 1, alias: "item" },
+				items: [ "One", "Two" ],
+				permalink: "/{{ item }}/"
+			} );
+		}, { strict: "warn" } );
+
+		let contents = results.filter( result => result.inputPath.endsWith( "sample.edge" ) ).map( result => result.content.trim() );
+		strictEqual( contents.join( "," ), "<p>One: </p>,<p>Two: </p>" );
+
+		let messages = warn.mock.calls.map( call => call.arguments.join( " " ) ).filter( message => message.includes( "Edge strict mode" ) );
+		strictEqual( messages.length, 1 );
+		match( messages[0], /"tittle" is undefined in \S*sample\.edge:1:19/ );
+	} );
+
+	test( "Other strict values are rejected", async () => {
+		await rejects(
+			getTestResults( () => {}, { strict: "error" } ),
+			( error ) => {
+				match( getMessages( error ), /The Edge `strict` option must be true, false or "warn"/ );
+				return true;
+			}
+		);
+	} );
+} );
+
+describe( "EdgeJs error locations", () => {
+	async function getBuildError( files ) {
+		try {
+			await buildSite( files );
+		} catch ( error ) {
+			return getMessages( error );
+		}
+		throw new Error( "Expected the build to fail" );
+	}
+
+	test( "Lines count the front matter of the input file", async () => {
+		let messages = await getBuildError( {
+			"index.edge": "---\ntitle: Home\n---\n<h1>{{ title }}</h1>\n<p>{{ post.author.name }}</p>\n"
+		} );
+
+		match( messages, /Cannot read properties of undefined \(reading 'author'\) \(\S*index\.edge:5\)/ );
+		match( messages, / {2}4 \| <h1>\{\{ title \}\}<\/h1>\n> 5 \| <p>\{\{ post\.author\.name \}\}<\/p>/ );
+	} );
+
+	test( "Syntax errors point at the column", async () => {
+		let messages = await getBuildError( {
+			"index.edge": "---\ntitle: Home\n---\n<p>{{ upcase( title }}</p>\n"
+		} );
+
+		match( messages, /\(\S*index\.edge:4:21\)/ );
+		match( messages, /> 4 \| <p>\{\{ upcase\( title \}\}<\/p>\n {4}\| {21}\^/ );
+	} );
+
+	test( "Errors in components list the templates they were rendered through", async () => {
+		let messages = await getBuildError( {
+			"index.edge": "---\ntitle: Home\n---\n@include( 'part' )",
+			"_includes/part.edge": "<div>\n  @!component( 'components/card' )\n</div>",
+			"_includes/components/card.edge": "<article>\n  {{ post.title }}\n</article>"
+		} );
+
+		match( messages, /\(\S*_includes\/components\/card\.edge:2\)/ );
+		match( messages, /Rendered through:\n {2}\S*index\.edge\n {2}\S*_includes\/part\.edge\n {2}\S*_includes\/components\/card\.edge/ );
+	} );
+
+	test( "Templates using another page's content are still rendered later", async () => {
+		let pages = await buildSite( {
+			"a-list.edge": "@each( post in collections.post )\n{{{ post.templateContent }}}\n@end",
+			"b-post.edge": "---\ntags: post\n---\n<p>Post</p>"
+		} );
+
+		strictEqual( pages["a-list.edge"].content.trim(), "<p>Post</p>" );
+	} );
+} );
+
+describe( "EdgeJs error overlay", () => {
+	let files = {
+		"index.edge": "---\nlayout: base.edge\n---\n@include( 'byline' )",
+		"about.edge": "<p>About</p>",
+		"_includes/base.edge": "<html><body>{{{ content }}}</body></html>",
+		"_includes/byline.edge": "<p>{{ post.author.name }}</p>"
+	};
+
+	test( "A page that fails in --serve shows an error page", async ( t ) => {
+		let error = t.mock.method( console, "error", () => {} );
+		let dir = await createSite( files );
+
+		try {
+			let elev = new Eleventy( dir, undefined, {
+				runMode: "serve",
+				config: ( eleventyConfig ) => {
+					eleventyConfig.addPlugin( edgeJsPlugin, { errorOverlay: true } );
+				}
+			} );
+
+			let results = await elev.toJSON();
+			let index = results.find( result => result.inputPath.endsWith( "index.edge" ) );
+			let about = results.find( result => result.inputPath.endsWith( "about.edge" ) );
+
+			ok( index.content.startsWith( "<!-- eleventy-plugin-edgejs: error page -->\n<!doctype html>" ) );
+			match( index.content, /<h1>Cannot read properties of undefined \(reading 'author'\)/ );
+			match( index.content, /&gt; 1 \| &lt;p&gt;\{\{ post\.author\.name \}\}&lt;\/p&gt;/ );
+			match( index.content, /Rendered through:&#10; {2}\S*index\.edge&#10; {2}\S*_includes\/byline\.edge/ );
+			match( index.content, /<h2>Caused by<\/h2>\n<pre>TypeError: Cannot read properties of undefined/ );
+			doesNotMatch( index.content, /\n\s*\n/ );
+			doesNotMatch( index.content, /<html><body>/ );
+			strictEqual( about.content.trim(), "<p>About</p>" );
+			ok( error.mock.calls.some( call => call.arguments.join( " " ).includes( "Edge: showing an error page for" ) ) );
+
+			// Fixing the template replaces the error page on the next build
+			let byline = path.join( dir, "_includes/byline.edge" );
+			await writeFile( byline, "<p>Fixed</p>" );
+			let fixed = ( await rebuild( elev, [ byline ] ) ).find( result => result.inputPath.endsWith( "index.edge" ) );
+			strictEqual( fixed.content.trim(), "<html><body><p>Fixed</p></body></html>" );
+		} finally {
+			await rm( dir, { recursive: true, force: true } );
+		}
+	} );
+
+	test( "Layouts in other template languages don't wrap the error page", async ( t ) => {
+		t.mock.method( console, "error", () => {} );
+		let pages = await buildSite( {
+			...files,
+			"index.edge": "---\nlayout: base.njk\n---\n@include( 'byline' )",
+			"_includes/base.njk": "<html><body>{{ content | safe }}</body></html>"
+		}, { options: { errorOverlay: true }, runMode: "serve" } );
+
+		ok( pages["index.edge"].content.startsWith( "<!-- eleventy-plugin-edgejs: error page -->\n<!doctype html>" ) );
+		match( pages["index.edge"].content, /<\/html>\n$/ );
+		doesNotMatch( pages["index.edge"].content, /<html><body>/ );
+	} );
+
+	test( "Builds still fail", async () => {
+		await rejects( buildSite( files, { options: { errorOverlay: true } } ), error => /reading 'author'/.test( getMessages( error ) ) );
+	} );
+
+	test( "Error pages are off by default", async () => {
+		await rejects( buildSite( files, { runMode: "serve" } ), error => /reading 'author'/.test( getMessages( error ) ) );
+	} );
+} );
+
+describe( "EdgeJs as a preprocessor", () => {
+	// `markdownTemplateEngine` and `htmlTemplateEngine` can only be set by a config file
+	let configFile = {
+		"eleventy.config.mjs": "export default function () {}\nexport const config = { markdownTemplateEngine: \"edge\", htmlTemplateEngine: \"edge\" };\n"
+	};
+	let settings = {
+		configFile: "eleventy.config.mjs",
+		configCallback: eleventyConfig => eleventyConfig.addShortcode( "asyncUpper", async value => value.toUpperCase() )
+	};
+
+	test( "markdownTemplateEngine: \"edge\" renders Markdown files with Edge first", async () => {
+		let pages = await buildSite( {
+			...configFile,
+			"post.md": "---\ntitle: Hello\n---\n# {{ title }}\n\n@include( 'intro' )\n\n@!component( 'components/note', { text: 'Note' } )\n\n{{ asyncUpper( 'async' ) }}",
+			"_includes/intro.edge": "Some *intro* for {{ title }}.",
+			"_includes/components/note.edge": "<aside>{{ text }}</aside>"
+		}, settings );
+
+		strictEqual( pages["post.md"].content.trim(), "<h1>Hello</h1>\n<p>Some <em>intro</em> for Hello.</p>\n<aside>Note</aside>\n<p>ASYNC</p>" );
+	} );
+
+	test( "htmlTemplateEngine: \"edge\" renders HTML files with Edge", async () => {
+		let pages = await buildSite( {
+			...configFile,
+			"page.html": "---\ntitle: Home\npermalink: \"/{{ title.toLowerCase() }}/\"\n---\n<h1>{{ title }}</h1>\n@!component( 'components/note', { text: asyncUpper( 'note' ) } )",
+			"_includes/components/note.edge": "<aside>{{ text }}</aside>"
+		}, settings );
+
+		strictEqual( pages["page.html"].content.trim(), "<h1>Home</h1><aside>NOTE</aside>" );
+		strictEqual( pages["page.html"].url, "/home/" );
+	} );
+
+	test( "templateEngineOverride: edge,md", async () => {
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncUpper", async value => value.toUpperCase() );
+			eleventyConfig.addTemplate( "sample.md", "## {{ asyncUpper( name ) }}\n\n@include( 'included' )", {
+				templateEngineOverride: "edge,md",
+				name: "Edge"
+			} );
+		} );
+
+		let result = results.find( result => result.inputPath.endsWith( "sample.md" ) );
+		strictEqual( result.content.trim(), "<h2>EDGE</h2>\n<p>This is an include.</p>" );
+	} );
+
+	test( "Errors in Markdown files count the front matter", async () => {
+		await rejects(
+			buildSite( {
+				...configFile,
+				"post.md": "---\ntitle: Hello\n---\n# {{ title }}\n\n{{ post.author.name }}"
+			}, settings ),
+			( error ) => {
+				match( getMessages( error ), /\(\S*post\.md:6\)\n\n {2}4 \| # \{\{ title \}\}\n {2}5 \|\n> 6 \| \{\{ post\.author\.name \}\}/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Error pages survive Markdown", async ( t ) => {
+		t.mock.method( console, "error", () => {} );
+		let pages = await buildSite( {
+			...configFile,
+			"post.md": "---\ntitle: Hello\n---\n# {{ title }}\n\n{{ post.author.name }}"
+		}, { ...settings, options: { errorOverlay: true }, runMode: "serve" } );
+
+		let { content } = pages["post.md"];
+		ok( content.startsWith( "<!-- eleventy-plugin-edgejs: error page -->" ) );
+		match( content, /&#10;&gt; 6 \| \{\{ post\.author\.name \}\}<\/pre>/ );
+		doesNotMatch( content, /<blockquote>/ );
+	} );
+} );
+
+describe( "EdgeJs Markdown", () => {
+	test( "@markdown renders its body with Eleventy's markdown library", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addShortcode( "asyncUpper", async value => value.toUpperCase() );
+			eleventyConfig.addTemplate( "sample.edge", "<section>\n@markdown\n## {{ title }}\n\n- One\n- {{ asyncUpper( 'two' ) }}\n@end\n</section>", {
+				title: "Notes"
+			} );
+		} );
+
+		strictEqual( result.content.trim(), "<section><h2>Notes</h2>\n<ul>\n<li>One</li>\n<li>TWO</li>\n</ul>\n</section>" );
+	} );
+
+	test( "Indented blocks in components are dedented", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "@!component( 'card', { title: 'Card' } )" );
+		}, {
+			templates: {
+				card: "<div>\n    @markdown\n      ### {{ title }}\n\n      Some *text*.\n    @end\n</div>"
+			}
+		} );
+
+		strictEqual( result.content.trim(), "<div><h3>Card</h3>\n<p>Some <em>text</em>.</p>\n</div>" );
+	} );
+
+	test( "markdown() uses the amended library", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.amendLibrary( "md", md => md.set( { typographer: true } ) );
+			eleventyConfig.addTemplate( "sample.edge", "<p>{{{ markdown( note, { inline: true } ) }}}</p>\n{{{ markdown( note ) }}}", {
+				note: "**Bold** (c)"
+			} );
+		} );
+
+		strictEqual( result.content.trim(), "<p><strong>Bold</strong> ©</p>\n<p><strong>Bold</strong> ©</p>" );
+	} );
+
+	test( "A filter named markdown takes the place of the helper", async () => {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "markdown", value => `filtered ${ value }` );
+			eleventyConfig.addTemplate( "sample.edge", "{{ markdown( 'text' ) }}" );
+		} );
+
+		strictEqual( result.content.trim(), "filtered text" );
+	} );
+} );
+
+describe( "EdgeJs RenderPlugin", () => {
+	let settings = {
+		configCallback: eleventyConfig => eleventyConfig.addPlugin( RenderPlugin )
+	};
+
+	test( "@renderTemplate renders its body as written in another language", async () => {
+		let pages = await buildSite( {
+			"index.edge": "@renderTemplate( 'liquid', { name: 'Ada' } )\n{% assign upper = name | upcase %}<b>{{ upper }}</b> (of {{ page.url }})\n@end"
+		}, settings );
+
+		strictEqual( pages["index.edge"].content.trim(), "<b>ADA</b> (of /)" );
+	} );
+
+	test( "Lines after a @renderTemplate block keep their numbers", async () => {
+		await rejects(
+			buildSite( {
+				"index.edge": "---\ntitle: Home\n---\n@renderTemplate( 'njk',\n  { title } )\n{{ title }}\n{% if true %}yes{% endif %}\n@end\n{{ post.author }}"
+			}, settings ),
+			( error ) => {
+				match( getMessages( error ), /\(\S*index\.edge:9\)/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "@renderFile renders a file in another language", async () => {
+		let pages = await buildSite( {
+			"index.edge": "<main>\n@renderFile( eleventy.directories.includes + 'card.njk', { title: 'Card' } )\n</main>",
+			"_includes/card.njk": "<h2>{{ title | upper }}</h2>"
+		}, settings );
+
+		strictEqual( pages["index.edge"].content.trim(), "<main><h2>CARD</h2>\n</main>" );
+	} );
+
+	test( "Other languages render Edge through the RenderPlugin", async () => {
+		let pages = await buildSite( {
+			"index.njk": "{% renderTemplate \"edge\", { name: \"Ada\" } %}<b>{{ name.toUpperCase() }}</b>\n@include( 'note' ){% endrenderTemplate %}\n{% renderFile eleventy.directories.includes + \"card.edge\", { title: \"Card\" } %}",
+			"_includes/note.edge": "<i>{{ name }}</i>",
+			"_includes/card.edge": "<h2>{{ title }}</h2>"
+		}, settings );
+
+		strictEqual( pages["index.njk"].content.trim(), "<b>ADA</b><i>Ada</i>\n<h2>Card</h2>" );
+	} );
+} );
+
+describe( "EdgeJs shared data", () => {
+	function findContent( results, name ) {
+		return results.find( result => result.inputPath.endsWith( name ) ).content.trim();
+	}
+
+	test( "Components see page, eleventy and collections of the page rendering them", async () => {
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "one.edge", "@!component( 'info' )", { tags: "posts" } );
+			eleventyConfig.addTemplate( "two.edge", "@!component( 'info' )", { tags: "posts" } );
+		}, {
+			templates: {
+				info: "{{ page.url }} {{ collections.posts.length }} {{ eleventy.generator.startsWith( 'Eleventy' ) }}"
+			}
+		} );
+
+		strictEqual( findContent( results, "one.edge" ), "/one/ 2 true" );
+		strictEqual( findContent( results, "two.edge" ), "/two/ 2 true" );
+	} );
+
+	test( "Props and template data win over shared data", async () => {
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "@!component( 'info', { page: { url: '/from-props/' } } )\n@!component( 'local' )" );
+		}, {
+			templates: {
+				info: "{{ page.url }}",
+				local: "@let( page = { url: '/local/' } )\n{{ page.url }}"
+			}
+		} );
+
+		strictEqual( findContent( results, "sample.edge" ), "/from-props/\n/local/" );
+	} );
+
+	test( "sharedData names the data to share", async () => {
+		let results = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addGlobalData( "site", { name: "Edge Site" } );
+			eleventyConfig.addTemplate( "sample.edge", "@!component( 'info' )", { title: "Home" } );
+		}, {
+			sharedData: [ "site", "title" ],
+			templates: {
+				info: "{{ site.name }} {{ title }} {{ typeof page }}"
+			}
+		} );
+
+		strictEqual( findContent( results, "sample.edge" ), "Edge Site Home undefined" );
+	} );
+
+	test( "sharedData: true shares all data, false none", async () => {
+		let template = ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", "@!component( 'info' )", { title: "Home" } );
+		};
+		let options = { templates: { info: "{{ title }} {{ typeof page }}" } };
+
+		strictEqual( findContent( await getTestResults( template, { ...options, sharedData: true } ), "sample.edge" ), "Home object" );
+		strictEqual( findContent( await getTestResults( template, { ...options, sharedData: false } ), "sample.edge" ), "undefined" );
+	} );
+
+	test( "Other sharedData values are rejected", async () => {
+		await rejects(
+			getTestResults( () => {}, { sharedData: "page" } ),
+			( error ) => {
+				match( getMessages( error ), /The Edge `sharedData` option must be an array of data names, true or false/ );
+				return true;
+			}
+		);
+	} );
+} );
+
+describe( "EdgeJs layout slots", () => {
+	let settings = {
+		options: { layoutSlots: true },
+		configCallback: eleventyConfig => eleventyConfig.addShortcode( "asyncUpper", async value => value.toUpperCase() )
+	};
+
+	test( "Pages fill the named slots of their layout", async () => {
+		let pages = await buildSite( {
+			"index.edge": "---\nlayout: base.edge\ntitle: Home\n---\n@slot( 'head' )\n<meta name=\"description\" content=\"{{ asyncUpper( title ) }}\">\n@end\n<h1>{{ title }}</h1>\n@slot( 'sidebar' )\n<nav>Links</nav>\n@end\n<p>Body</p>",
+			"_includes/base.edge": "<head>{{{ await $slots.head() }}}</head>\n<main>{{{ await $slots.main() }}}</main>\n@if( $slots.sidebar )\n<aside>{{{ await $slots.sidebar() }}}</aside>\n@end\n@if( $slots.footer )\n<footer></footer>\n@end"
+		}, settings );
+
+		strictEqual(
+			pages["index.edge"].content.trim(),
+			"<head><meta name=\"description\" content=\"HOME\"></head>\n<main><h1>Home</h1>\n<p>Body</p></main>\n<aside><nav>Links</nav></aside>"
+		);
+	} );
+
+	test( "Slots reach every layout in the chain", async () => {
+		let pages = await buildSite( {
+			"index.edge": "---\nlayout: post.edge\n---\n@slot( 'head' )\n<title>Post</title>\n@end\nText",
+			"_includes/post.edge": "---\nlayout: base.edge\n---\n@slot( 'head' )\n{{{ await $slots.head() }}}<link rel=\"stylesheet\" href=\"/post.css\">\n@end\n<article>{{{ await $slots.main() }}}</article>",
+			"_includes/base.edge": "<head>{{{ await $slots.head() }}}</head>\n<body>{{{ content }}}</body>"
+		}, settings );
+
+		strictEqual(
+			pages["index.edge"].content.trim(),
+			"<head><title>Post</title><link rel=\"stylesheet\" href=\"/post.css\"></head>\n<body><article>Text</article></body>"
+		);
+	} );
+
+	test( "Paginated pages fill the slots of their layout", async () => {
+		let pages = await buildSite( {
+			"index.edge": "---\nlayout: base.edge\npagination:\n  data: colors\n  size: 1\n  alias: color\ncolors: [ red, blue ]\npermalink: \"/{{ color }}/\"\n---\n@slot( 'head' )\n<title>{{ color }}</title>\n@end\n<p>{{ color }}</p>",
+			"_includes/base.edge": "<head>{{{ await $slots.head() }}}</head>\n<main>{{{ await $slots.main() }}}</main>"
+		}, { ...settings, key: result => result.url } );
+
+		strictEqual( pages["/red/"].content.trim(), "<head><title>red</title></head>\n<main><p>red</p></main>" );
+		strictEqual( pages["/blue/"].content.trim(), "<head><title>blue</title></head>\n<main><p>blue</p></main>" );
+	} );
+
+	test( "Slots in components still belong to the component", async () => {
+		let pages = await buildSite( {
+			"index.edge": "---\nlayout: base.edge\n---\n@component( 'card' )\n@slot( 'title' )\nCard\n@end\nBody\n@end",
+			"_includes/card.edge": "<h2>{{{ await $slots.title() }}}</h2>{{{ await $slots.main() }}}",
+			"_includes/base.edge": "{{ $slots.title ? 'leaked' : 'ok' }} {{{ await $slots.main() }}}"
+		}, settings );
+
+		strictEqual( pages["index.edge"].content.trim(), "ok <h2>Card</h2>Body" );
+	} );
+
+	test( "Slots outside of components are an error without layoutSlots", async () => {
+		await rejects(
+			buildSite( { "index.edge": "@slot( 'head' )\nx\n@end" }, { ...settings, options: {} } ),
+			( error ) => {
+				match( getMessages( error ), /@slot tag must appear as top level tag inside the @component tag/ );
+				return true;
+			}
+		);
+	} );
+} );
+
+describe( "EdgeJs component props", () => {
+	const button = "{{-- @props\n  text: string\n  type: string = 'primary'\n  count?: number | string\n--}}\n<button class=\"{{ type }}\">{{ text }}{{ count ?? '' }}</button>";
+
+	async function render( source, templates = { "components/button": button } ) {
+		let [ result ] = await getTestResults( ( eleventyConfig ) => {
+			eleventyConfig.addTemplate( "sample.edge", source );
+		}, { templates } );
+		return result.content.trim();
+	}
+
+	test( "Declared defaults fill props that are not given", async () => {
+		strictEqual(
+			await render( "@!component( 'components/button', { text: 'Save' } )\n@!component( 'components/button', { text: 'Delete', type: 'danger', count: 2 } )" ),
+			"<button class=\"primary\">Save</button>\n<button class=\"danger\">Delete2</button>"
+		);
+	} );
+
+	test( "A missing required prop fails where the component is used", async () => {
+		await rejects(
+			render( "<h1>Form</h1>\n\n@!component( 'components/button', { type: 'danger' } )" ),
+			( error ) => {
+				match( getMessages( error ), /Missing required prop "text" \(component components\/button\) \(\S*sample\.edge:3\)/ );
+				// The page the component was used on is listed once
+				match( getMessages( error ), /Rendered through:\n {2}\S*sample\.edge\n {2}components\/button(?!\n {2})/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Props of the wrong type and unknown props fail", async () => {
+		await rejects(
+			render( "@!component( 'components/button', { text: 'Save', count: true } )" ),
+			( error ) => {
+				match( getMessages( error ), /Prop "count" must be number or string, got boolean/ );
+				return true;
+			}
+		);
+		await rejects(
+			render( "@!component( 'components/button', { text: 'Save', tpye: 'danger' } )" ),
+			( error ) => {
+				match( getMessages( error ), /Unknown prop "tpye"/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Invalid declarations point at their line", async () => {
+		await rejects(
+			render( "@!component( 'components/button', { text: 'Save' } )", { "components/button": "{{-- @props\n  text: string\n  size: huge\n--}}\n{{ text }}" } ),
+			( error ) => {
+				match( getMessages( error ), /Unknown type "huge" for prop "size"/ );
+				match( getMessages( error ), /> 3 \| {3}size: huge/ );
+				return true;
+			}
+		);
+	} );
+
+	test( "Included templates with a contract use the including component's state", async () => {
+		strictEqual(
+			await render( "@!component( 'components/panel', { title: 'Panel', text: 'Save' } )", {
+				"components/button": button,
+				"components/panel": "<h2>{{ title }}</h2>\n@include( 'components/button' )"
+			} ),
+			"<h2>Panel</h2><button class=\"\">Save</button>"
+		);
+	} );
+
+	test( "Components without a contract take any props", async () => {
+		strictEqual(
+			await render( "@!component( 'components/plain', { anything: 'goes' } )", { "components/plain": "{{ anything }}" } ),
+			"goes"
+		);
+	} );
+} );
+
+describe( "EdgeJs component catalog", () => {
+	const button = "{{-- @props\n  text: string\n  type: string = 'primary'\n--}}\n{{-- @examples\n[\n  { \"title\": \"Danger\", \"props\": { \"text\": \"Delete\", \"type\": \"danger\" } }\n]\n--}}\n<button class=\"{{ type }}\">{{ upper( text ) }}</button>";
+
+	// Catalog pages share their input file, so pages are looked up by URL
+	let settings = {
+		options: { catalog: true },
+		configCallback: eleventyConfig => eleventyConfig.addFilter( "upper", value => value.toUpperCase() ),
+		key: result => result.url
+	};
+
+	test( "The index links the components that declare examples", async () => {
+		let pages = await buildSite( {
+			"index.edge": "Home",
+			"_includes/components/button.edge": button,
+			"_includes/components/forms/field.edge": "{{-- @examples [ { \"props\": { \"label\": \"Name\" }, \"slot\": \"<input>\" } ] --}}\n<label>{{ label }}{{{ await $slots.main() }}}</label>",
+			"_includes/components/divider.edge": "<hr>"
+		}, settings );
+
+		strictEqual(
+			pages["/components/"].content.trim(),
+			"<h1>Components</h1>\n<ul class=\"edge-catalog-index\">\n  <li><a href=\"/components/button/\">components/button</a></li>\n  <li><a href=\"/components/forms/field/\">components/forms/field</a></li>\n</ul>"
+		);
+		match( pages["/components/forms/field/"].content, /<label>Name\s*<input><\/label>/ );
+		ok( !( "/components/divider/" in pages ) );
+		strictEqual( pages["/"].content.trim(), "Home" );
+	} );
+
+	test( "Component pages show examples, usage, props and source", async () => {
+		let pages = await buildSite( { "_includes/components/button.edge": button }, settings );
+		let page = pages["/components/button/"].content;
+
+		// Examples render with the site's filters
+		ok( page.includes( "<h2>Danger</h2>" ) );
+		ok( page.includes( "<button class=\"danger\">DELETE</button>" ) );
+		ok( page.includes( "<code>@!component( &#x27;components/button&#x27;, {\n  &quot;text&quot;: &quot;Delete&quot;,\n  &quot;type&quot;: &quot;danger&quot;\n} )</code>" ) );
+		ok( page.includes( "<tr><td><code>type</code></td><td>string</td><td>No</td><td><code>&#x27;primary&#x27;</code></td></tr>" ) );
+		ok( page.includes( "&lt;button class=&quot;{{ type }}&quot;&gt;{{ upper( text ) }}&lt;/button&gt;</code></pre>" ) );
+	} );
+
+	test( "Catalog pages use the configured path and layout", async () => {
+		let pages = await buildSite( {
+			"_includes/components/button.edge": button,
+			"_includes/catalog.edge": "<title>{{ title }}</title>\n{{{ content }}}"
+		}, { ...settings, options: { catalog: { path: "/styleguide", layout: "catalog.edge" } } } );
+
+		ok( pages["/styleguide/"].content.startsWith( "<title>Components</title>" ) );
+		ok( pages["/styleguide/"].content.includes( "<a href=\"/styleguide/button/\">" ) );
+		ok( pages["/styleguide/button/"].content.startsWith( "<title>components/button</title>" ) );
+	} );
+
+	test( "The catalog is off by default and rejects invalid paths", async () => {
+		let pages = await buildSite( { "index.edge": "Home", "_includes/components/button.edge": button }, { ...settings, options: {} } );
+		strictEqual( Object.keys( pages ).join(), "/" );
+
+		await rejects(
+			buildSite( { "index.edge": "Home" }, { ...settings, options: { catalog: { path: "components" } } } ),
+			( error ) => {
+				match( getMessages( error ), /The Edge `catalog.path` option must be a URL path starting with "\/"/ );
+				return true;
+			}
+		);
+	} );
+} );
+
+describe( "EdgeJs components in other template languages", () => {
+	const includes = {
+		"_includes/components/card.edge": "<div class=\"card\"><h2>{{ upper( title ) }}</h2>{{{ await $slots.main() }}}<small>{{ page.url }}</small></div>",
+		"_includes/partials/footer.edge": "<footer>{{ year }} {{ asyncUpper( title ) }} {{ page.url }}</footer>"
+	};
+
+	let settings = {
+		configCallback: ( eleventyConfig ) => {
+			eleventyConfig.addFilter( "upper", value => value.toUpperCase() );
+			eleventyConfig.addShortcode( "asyncUpper", async value => value.toUpperCase() );
+		}
+	};
+
+	test( "Nunjucks pages render components and includes with the page's data and async output", async () => {
+		let pages = await buildSite( {
+			...includes,
+			"index.njk": "---\ntitle: Home\n---\n{% edgeComponent \"components/card\", { title: title } %}\n{% edgeComponentBlock \"components/card\", { title: \"Block\" } %}<p>{{ title }}</p>{% endedgeComponentBlock %}\n{% edgeInclude \"partials/footer\", { year: 2025 } %}"
+		}, settings );
+
+		strictEqual(
+			pages["index.njk"].content.trim(),
+			"<div class=\"card\"><h2>HOME</h2><small>/</small></div>\n<div class=\"card\"><h2>BLOCK</h2><p>Home</p><small>/</small></div>\n<footer>2025 HOME /</footer>"
+		);
+	} );
+
+	test( "Liquid and Markdown pages render components", async () => {
+		let pages = await buildSite( {
+			...includes,
+			"about.liquid": "---\ncard:\n  title: About\n---\n{% edgeComponentBlock \"components/card\", card %}<p>Team</p>{% endedgeComponentBlock %}",
+			"notes.md": "---\ncard:\n  title: Notes\n---\n# Notes\n\n{% edgeComponent \"components/card\", card %}"
+		}, settings );
+
+		strictEqual( pages["about.liquid"].content.trim(), "<div class=\"card\"><h2>ABOUT</h2><p>Team</p><small>/about/</small></div>" );
+		strictEqual( pages["notes.md"].content.trim(), "<h1>Notes</h1>\n<div class=\"card\"><h2>NOTES</h2><small>/notes/</small></div>" );
+	} );
+
+	test( "Different shortcodes on a page keep their compiled templates", async () => {
+		let { edge, compiled } = createRecordingEdge();
+		let page = "{% edgeComponent \"components/card\", { title: title } %}\n{% edgeInclude \"partials/footer\", { year: 2025 } %}";
+		let pages = await buildSite( {
+			...includes,
+			"a.njk": `---\ntitle: A\n---\n${ page }`,
+			"b.njk": `---\ntitle: B\n---\n${ page }`
+		}, { ...settings, options: { eleventyLibraryOverride: edge } } );
+
+		strictEqual( pages["a.njk"].content.trim(), "<div class=\"card\"><h2>A</h2><small>/a/</small></div>\n<footer>2025 A /a/</footer>" );
+		strictEqual( pages["b.njk"].content.trim(), "<div class=\"card\"><h2>B</h2><small>/b/</small></div>\n<footer>2025 B /b/</footer>" );
+		// Once per shortcode, not again each time the other one renders
+		strictEqual( compiled.filter( templatePath => !path.isAbsolute( templatePath ) ).length, 2 );
+	} );
+
+	test( "A missing template name fails the page", async () => {
+		await rejects(
+			buildSite( { ...includes, "index.njk": "{% edgeComponent %}" }, settings ),
+			( error ) => {
+				match( getMessages( error ), /The edgeComponent shortcode needs the name of an Edge template/ );
+				return true;
+			}
+		);
+	} );
+} );